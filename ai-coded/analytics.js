@@ -0,0 +1,133 @@
+/*
+  Bucket Counter – Job analytics
+  - Cycle times between automatic counts, buckets per hour, longest idle gaps
+    and time spent paused, worked out from a job's event log and pauses
+  - A small canvas bar chart of buckets per hour for the job-details screen
+*/
+
+(function () {
+  'use strict';
+
+  const HOUR_MS = 3600000;
+  const GAP_COUNT = 3; // longest idle gaps reported
+  const MIN_RATE_MS = 60000; // active time before buckets per hour means anything
+
+  const median = (values) => {
+    if (values.length === 0) return NaN;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+
+  // Paused time inside [from, to]; an open pause runs until `until`
+  const pausedBetween = (pauses, from, to, until) => (pauses || []).reduce((sum, p) => {
+    const start = Math.max(p.start, from);
+    const end = Math.min(Number.isFinite(p.end) ? p.end : until, to);
+    return end > start ? sum + (end - start) : sum;
+  }, 0);
+
+  /*
+    job: { events, pauses, startedAt, endedAt, total } as stored by buildJobRecord.
+    Returns { activeMs, pausedMs, total, backfilled, bucketsPerHour, cycles, medianCycleMs,
+    meanCycleMs, fastestCycleMs, slowestCycleMs, gaps, hourly }.
+    total is buckets dug and backfilled the buckets put back; the rates, cycles and
+    chart cover both. Cycles and gaps leave out time spent paused. bucketsPerHour is
+    NaN until the job has been active for MIN_RATE_MS.
+  */
+  const analyzeJob = (job) => {
+    const endedAt = Number.isFinite(job.endedAt) ? job.endedAt : Date.now();
+    const startedAt = Number.isFinite(job.startedAt) ? job.startedAt : endedAt;
+    const pauses = Array.isArray(job.pauses) ? job.pauses : [];
+    const added = (job.events || []).filter((e) => e.delta > 0).sort((a, b) => a.ts - b.ts);
+    const sum = (events) => events.reduce((acc, e) => acc + (e.delta || 0), 0);
+    // Jobs scanned from a QR code carry only their totals (see handoff.js)
+    const logged = Array.isArray(job.events);
+    const total = logged ? sum(job.events.filter((e) => e.target !== 'backfill')) : Number(job.total) || 0;
+    const backfilled = logged ? sum(job.events.filter((e) => e.target === 'backfill')) : Number(job.backfillCount) || 0;
+    const pausedMs = pausedBetween(pauses, startedAt, endedAt, endedAt);
+    const activeMs = Math.max(0, endedAt - startedAt - pausedMs);
+
+    const autoCounts = added.filter((e) => e.source === 'auto');
+    const cycles = [];
+    for (let i = 1; i < autoCounts.length; i += 1) {
+      const from = autoCounts[i - 1].ts;
+      const to = autoCounts[i].ts;
+      cycles.push(to - from - pausedBetween(pauses, from, to, endedAt));
+    }
+
+    const gaps = [];
+    let previous = startedAt;
+    added.concat([{ ts: endedAt }]).forEach((e) => {
+      const ms = e.ts - previous - pausedBetween(pauses, previous, e.ts, endedAt);
+      if (ms > 0) gaps.push({ from: previous, to: e.ts, ms });
+      previous = e.ts;
+    });
+    gaps.sort((a, b) => b.ms - a.ms);
+
+    // Buckets added in each hour since the job started
+    const hourly = [];
+    const hours = Math.max(1, Math.ceil((endedAt - startedAt) / HOUR_MS));
+    for (let i = 0; i < hours; i += 1) hourly.push({ start: startedAt + i * HOUR_MS, buckets: 0 });
+    added.forEach((e) => {
+      const index = Math.min(hours - 1, Math.max(0, Math.floor((e.ts - startedAt) / HOUR_MS)));
+      hourly[index].buckets += e.delta;
+    });
+
+    return {
+      activeMs,
+      pausedMs,
+      total,
+      backfilled,
+      bucketsPerHour: activeMs >= MIN_RATE_MS ? (total + backfilled) / (activeMs / HOUR_MS) : NaN,
+      cycles,
+      medianCycleMs: median(cycles),
+      meanCycleMs: cycles.length ? cycles.reduce((a, b) => a + b, 0) / cycles.length : NaN,
+      fastestCycleMs: cycles.length ? Math.min(...cycles) : NaN,
+      slowestCycleMs: cycles.length ? Math.max(...cycles) : NaN,
+      gaps: gaps.slice(0, GAP_COUNT),
+      hourly,
+    };
+  };
+
+  /*
+    Bar chart of buckets per hour, sized to the canvas's CSS box.
+    options: { color, textColor, labelFor(hour, i) for the axis, formatValue(buckets) above each bar }
+  */
+  const drawHourlyChart = (canvas, hourly, options) => {
+    const {
+      color = '#2563eb',
+      textColor = '#6b7280',
+      labelFor = (_, i) => String(i + 1),
+      formatValue = (buckets) => String(Math.round(buckets * 100) / 100),
+    } = options || {};
+    const ratio = self.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 300;
+    const height = canvas.clientHeight || 160;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const labelHeight = 16;
+    const chartHeight = height - labelHeight * 2;
+    const max = Math.max(1, ...hourly.map((h) => h.buckets));
+    const slot = width / Math.max(1, hourly.length);
+    const barWidth = Math.max(2, slot * 0.7);
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    hourly.forEach((h, i) => {
+      const barHeight = (h.buckets / max) * chartHeight;
+      const x = i * slot + (slot - barWidth) / 2;
+      const y = labelHeight + chartHeight - barHeight;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y, barWidth, barHeight);
+      ctx.fillStyle = textColor;
+      ctx.fillText(formatValue(h.buckets), x + barWidth / 2, y - 4);
+      ctx.fillText(labelFor(h, i), x + barWidth / 2, height - 4);
+    });
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.analytics = { analyzeJob, drawHourlyChart };
+})();
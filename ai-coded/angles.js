@@ -0,0 +1,26 @@
+/*
+  Bucket Counter – Angle helpers
+  - Compass-style degrees (0..360, clockwise from north)
+*/
+
+(function () {
+  'use strict';
+
+  const clampDeg = (deg) => {
+    let d = deg % 360;
+    if (d < 0) d += 360;
+    return d;
+  };
+
+  // Signed shortest difference a - b in degrees (-180..180]
+  const signedDelta = (a, b) => {
+    let diff = clampDeg(a - b);
+    if (diff > 180) diff -= 360;
+    return diff;
+  };
+
+  const smallestAngleDelta = (a, b) => Math.abs(signedDelta(a, b));
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.angles = { clampDeg, signedDelta, smallestAngleDelta };
+})();
@@ -1,36 +1,68 @@
 /*
   Bucket Counter App
-  - Calibration of headings (grave, truck)
-  - Automatic detection of swivel grave -> truck
-  - Manual controls and localStorage persistence
-  - Works offline and as a PWA (see sw.js and manifest)
+  - Calibration of headings (grave, dirt pile, truck)
+  - Automatic detection of swings grave -> truck and grave -> dirt pile (see detector.js)
+  - Heading, calibration, detection and counts live in the shared core (see core.js)
+  - Manual controls and persistence through the shared storage record (see storage.js)
+  - Per-bucket event log with undo of the last change
+  - Finished jobs archived to IndexedDB history (see history.js)
+  - CSV/JSON export of the current job and history (see export.js)
+  - Sensor session recording and replay (see recorder.js, detector.js)
+  - Gyro + compass fused heading for any phone mount (see heading.js)
+  - Settings screen with named machine profiles (see profiles.js)
+  - Auto-calibration from the first swings, following a moved truck (see autocal.js)
+  - Vibration, beep and spoken feedback on counts (see feedback.js)
+  - Suspect swings kept for review instead of being counted or dropped silently
+  - Backfill mode counting the swings back into the grave, next to the dug count
+  - Truck loads: a "truck full" alert at the truck's capacity and a New truck action
+  - Volume removed and progress against a target grave size (see volume.js)
+  - Cycle-time analytics and a buckets-per-hour chart per job (see analytics.js)
+  - Job summaries handed over by QR code with no network (see qr.js, handoff.js)
+  - Offers to resume an in-progress job after a reload or the tab being killed
+  - Text in the phone's language or the one picked in Settings (see i18n.js, messages.js)
+  - Works offline and as a PWA (see sw.js and manifest); updates wait until
+    the grave is finished (see update.js)
 */
 
 (function () {
   'use strict';
 
-  // Storage keys
-  const STORAGE_KEYS = {
-    counter: 'bc.counter',
-    grave: 'bc.graveHeading',
-    truck: 'bc.truckHeading',
-    tolerance: 'bc.tolerance',
-    debounceMs: 'bc.debounceMs'
-  };
+  const storage = window.BucketCounter.storage;
+  const i18n = window.BucketCounter.i18n;
+  const { t, formatNumber, formatDate } = i18n;
+  const { createCore, truckLoads } = window.BucketCounter.core;
+  const { STATES, MODES, SUSPECT_REASONS } = window.BucketCounter.detector;
+  const { createAutoCalibrator, adaptHeading } = window.BucketCounter.autocal;
+  const { createFeedback } = window.BucketCounter.feedback;
+  const { GRAVE_PRESETS, resolveTarget, targetVolumeYd3, estimateProgress } = window.BucketCounter.volume;
+  const { analyzeJob, drawHourlyChart } = window.BucketCounter.analytics;
+  const { loadProfiles, saveProfiles, createProfile, sanitizeSettings, SETTINGS_LIMITS } = window.BucketCounter.profiles;
+  const { learnThreshold } = window.BucketCounter.dump;
+  const { createRecorder, sessionToFile, parseSession, replay, REPLAY_WARNINGS } = window.BucketCounter.recorder;
+  const { createUpdater } = window.BucketCounter.update;
+  const { encodeQr, drawQr } = window.BucketCounter.qr;
+  const { jobToCode, codeToJob, createScanner } = window.BucketCounter.handoff;
+  const { createSimulator, toOrientationEvent } = window.BucketCounter.simulator;
+  const { STATUS: HEALTH_STATUS, ISSUES: HEALTH_ISSUES } = window.BucketCounter.health;
+  const { orientationEventName, screenAngle, MODES: HEADING_MODES, MOUNTS } = window.BucketCounter.heading;
+  // deviceorientationabsolute where available, else deviceorientation
+  const ORIENTATION_EVENT = orientationEventName();
 
-  // Default config
-  const DEFAULTS = {
-    toleranceDeg: 15,
-    debounceMs: 4000,
+  // Storage fields (see storage.js); counts, headings and the event log are saved by the core
+  const STORAGE_KEYS = {
+    selectedTarget: 'selectedTarget',
+    jobStartedAt: 'job.startedAt',
+    jobLabel: 'job.label',
+    autoCalibrate: 'settings.autoCalibrate',
+    suspects: 'job.suspects',
+    jobTarget: 'job.target',
+    pauses: 'job.pauses',
+    session: 'job.session' // { hasActivated, running, savedAt }
   };
 
   // State
-  let currentHeadingDeg = 0; // 0..360
   let isRunning = false;
   let hasActivated = false; // became true after first successful Start
-  let headingReady = false; // becomes true after first valid heading
-  let lastIncrementTs = 0;
-  let lastHeadingTs = 0;
   let screenWakeLock = null;
 
   // UI elements
@@ -42,11 +74,30 @@
     btnResetCalibration: document.getElementById('btnResetCalibration'),
     btnSetGrave: document.getElementById('btnSetGrave'),
     btnSetTruck: document.getElementById('btnSetTruck'),
+    btnSetPile: document.getElementById('btnSetPile'),
     graveHeadingLabel: document.getElementById('graveHeadingLabel'),
     truckHeadingLabel: document.getElementById('truckHeadingLabel'),
+    pileHeadingLabel: document.getElementById('pileHeadingLabel'),
+    counterLabel: document.getElementById('counterLabel'),
+    phaseSummary: document.getElementById('phaseSummary'),
+    btnModeDig: document.getElementById('btnModeDig'),
+    btnModeBackfill: document.getElementById('btnModeBackfill'),
+    btnSelectTruck: document.getElementById('btnSelectTruck'),
+    truckLoadBlock: document.getElementById('truckLoadBlock'),
+    truckLoadText: document.getElementById('truckLoadText'),
+    btnNewTruck: document.getElementById('btnNewTruck'),
+    truckFullAlert: document.getElementById('truckFullAlert'),
+    btnSelectPile: document.getElementById('btnSelectPile'),
+    truckCountValue: document.getElementById('truckCountValue'),
+    pileCountValue: document.getElementById('pileCountValue'),
     btnToggle: document.getElementById('btnToggle'),
     statusText: document.getElementById('statusText'),
     headingText: document.getElementById('headingText'),
+    headingSourceText: document.getElementById('headingSourceText'),
+    mountText: document.getElementById('mountText'),
+    healthDot: document.getElementById('healthDot'),
+    healthText: document.getElementById('healthText'),
+    compassPrompt: document.getElementById('compassPrompt'),
     // Visibility blocks
     instructionText: document.getElementById('instructionText'),
     calibrationControls: document.getElementById('calibrationControls'),
@@ -57,43 +108,114 @@
     btnRetryPermissions: document.getElementById('btnRetryPermissions'),
     btnReloadApp: document.getElementById('btnReloadApp'),
     newGraveBlock: document.getElementById('newGraveBlock'),
+    jobLabelInput: document.getElementById('jobLabelInput'),
+    btnUndo: document.getElementById('btnUndo'),
+    eventLog: document.getElementById('eventLog'),
+    eventLogCount: document.getElementById('eventLogCount'),
+    // Suspect swing review
+    btnReview: document.getElementById('btnReview'),
+    reviewCount: document.getElementById('reviewCount'),
+    reviewBlock: document.getElementById('reviewBlock'),
+    reviewList: document.getElementById('reviewList'),
+    // Volume and progress
+    volumeText: document.getElementById('volumeText'),
+    targetVolumeText: document.getElementById('targetVolumeText'),
+    percentText: document.getElementById('percentText'),
+    progressBar: document.getElementById('progressBar'),
+    etaText: document.getElementById('etaText'),
+    gravePreset: document.getElementById('gravePreset'),
+    graveLength: document.getElementById('graveLength'),
+    graveWidth: document.getElementById('graveWidth'),
+    graveDepth: document.getElementById('graveDepth'),
+    // History screen
+    mainView: document.getElementById('mainView'),
+    historyView: document.getElementById('historyView'),
+    historyList: document.getElementById('historyList'),
+    btnShowHistory: document.getElementById('btnShowHistory'),
+    btnCloseHistory: document.getElementById('btnCloseHistory'),
+    storageNotice: document.getElementById('storageNotice'),
+    updateBanner: document.getElementById('updateBanner'),
+    updateText: document.getElementById('updateText'),
+    btnApplyUpdate: document.getElementById('btnApplyUpdate'),
+    // Resume prompt after a reload
+    resumeBlock: document.getElementById('resumeBlock'),
+    resumeText: document.getElementById('resumeText'),
+    resumeDetail: document.getElementById('resumeDetail'),
+    btnResumeJob: document.getElementById('btnResumeJob'),
+    btnStartCleanJob: document.getElementById('btnStartCleanJob'),
+    // Job details screen
+    jobView: document.getElementById('jobView'),
+    jobTitle: document.getElementById('jobTitle'),
+    jobSubtitle: document.getElementById('jobSubtitle'),
+    jobStats: document.getElementById('jobStats'),
+    jobChart: document.getElementById('jobChart'),
+    jobGaps: document.getElementById('jobGaps'),
+    btnShowJobDetails: document.getElementById('btnShowJobDetails'),
+    btnCloseJob: document.getElementById('btnCloseJob'),
+    btnShowJobQr: document.getElementById('btnShowJobQr'),
+    jobQrBlock: document.getElementById('jobQrBlock'),
+    jobQr: document.getElementById('jobQr'),
+    // Scan screen
+    btnScanJob: document.getElementById('btnScanJob'),
+    scanView: document.getElementById('scanView'),
+    scanVideo: document.getElementById('scanVideo'),
+    scanStatus: document.getElementById('scanStatus'),
+    btnCloseScan: document.getElementById('btnCloseScan'),
+    // Simulated sensors
+    simBlock: document.getElementById('simBlock'),
+    simHeadingText: document.getElementById('simHeadingText'),
+    simDial: document.getElementById('simDial'),
+    simNeedle: document.getElementById('simNeedle'),
+    simSwingCount: document.getElementById('simSwingCount'),
+    btnSimSwings: document.getElementById('btnSimSwings'),
+    simScriptText: document.getElementById('simScriptText'),
+    // Settings screen
+    settingsView: document.getElementById('settingsView'),
+    btnShowSettings: document.getElementById('btnShowSettings'),
+    btnCloseSettings: document.getElementById('btnCloseSettings'),
+    profileList: document.getElementById('profileList'),
+    settingsForm: document.getElementById('settingsForm'),
+    settingsSaved: document.getElementById('settingsSaved'),
+    btnNewProfile: document.getElementById('btnNewProfile'),
+    btnDeleteProfile: document.getElementById('btnDeleteProfile'),
+    machineText: document.getElementById('machineText'),
+    languageSelect: document.getElementById('languageSelect'),
+    autoCalibrateToggle: document.getElementById('autoCalibrateToggle'),
+    feedbackToggles: document.querySelectorAll('[data-feedback-channel]'),
+    btnTestFeedback: document.getElementById('btnTestFeedback'),
+    btnLearnDump: document.getElementById('btnLearnDump'),
+    dumpLearnText: document.getElementById('dumpLearnText'),
+    // Auto-calibration proposal
+    autoCalBlock: document.getElementById('autoCalBlock'),
+    autoCalGrave: document.getElementById('autoCalGrave'),
+    autoCalTruck: document.getElementById('autoCalTruck'),
+    btnAutoCalConfirm: document.getElementById('btnAutoCalConfirm'),
+    btnAutoCalSwap: document.getElementById('btnAutoCalSwap'),
+    btnAutoCalDismiss: document.getElementById('btnAutoCalDismiss'),
+    // Export
+    btnExportJobCsv: document.getElementById('btnExportJobCsv'),
+    btnExportJobJson: document.getElementById('btnExportJobJson'),
+    btnExportHistoryCsv: document.getElementById('btnExportHistoryCsv'),
+    btnExportHistoryJson: document.getElementById('btnExportHistoryJson'),
+    // Sensor recording / replay
+    btnRecord: document.getElementById('btnRecord'),
+    recordingIndicator: document.getElementById('recordingIndicator'),
+    replayFileInput: document.getElementById('replayFileInput'),
+    replayTolerance: document.getElementById('replayTolerance'),
+    replayDwell: document.getElementById('replayDwell'),
+    btnRunReplay: document.getElementById('btnRunReplay'),
+    replayResult: document.getElementById('replayResult'),
   };
 
   const resetCalibration = () => {
-    graveHeading = NaN;
-    truckHeading = NaN;
-    save(STORAGE_KEYS.grave, graveHeading);
-    save(STORAGE_KEYS.truck, truckHeading);
+    core.resetCalibration();
+    resetAutoCalibration();
     render();
   };
 
   // Utilities
-  const clampDeg = (deg) => {
-    let d = deg % 360;
-    if (d < 0) d += 360;
-    return d;
-  };
-
-  const smallestAngleDelta = (a, b) => {
-    let diff = clampDeg(a - b);
-    if (diff > 180) diff -= 360;
-    return Math.abs(diff);
-  };
-
-  const loadNumber = (key, fallback) => {
-    const v = localStorage.getItem(key);
-    if (v === null || v === undefined) return fallback;
-    const n = Number(v);
-    return Number.isFinite(n) ? n : fallback;
-  };
-
-  const loadBool = (key, fallback) => {
-    const v = localStorage.getItem(key);
-    if (v === null || v === undefined) return fallback;
-    return v === 'true';
-  };
-
-  const save = (key, value) => localStorage.setItem(key, String(value));
+  const load = (key) => storage.get(key);
+  const save = (key, value) => storage.set(key, value);
 
   // Screen wake lock helpers (iOS Safari 16.4+)
   const requestScreenWakeLock = async () => {
@@ -124,31 +246,274 @@
     }
   };
 
+  // Heading, calibration, detection and the counts with their event log
+  const core = createCore();
+
   // Persistence-backed values
-  let counter = loadNumber(STORAGE_KEYS.counter, 0);
-  let graveHeading = loadNumber(STORAGE_KEYS.grave, NaN);
-  let truckHeading = loadNumber(STORAGE_KEYS.truck, NaN);
-  let toleranceDeg = loadNumber(STORAGE_KEYS.tolerance, DEFAULTS.toleranceDeg);
-  let debounceMs = loadNumber(STORAGE_KEYS.debounceMs, DEFAULTS.debounceMs);
+  let selectedTarget = load(STORAGE_KEYS.selectedTarget);
+  // Machine profiles; the active one supplies detector tuning and the manual step
+  let profileState = loadProfiles();
+  let detection = {};
+  let manualStep = 0.5;
+  let bucketCapacityYd3 = 0;
+  let truckCapacity = 0; // buckets per truck load
+
+  const activeProfile = () => profileState.profiles.find((p) => p.id === profileState.activeId);
+
+  const applyActiveProfile = () => {
+    const { manualStep: step, bucketCapacityYd3: capacity, truckCapacityBuckets, ...tuning } = activeProfile().settings;
+    detection = tuning;
+    manualStep = step;
+    bucketCapacityYd3 = capacity;
+    truckCapacity = truckCapacityBuckets;
+    core.setDetectionConfig(detection);
+  };
+  applyActiveProfile();
+  let jobStartedAt = load(STORAGE_KEYS.jobStartedAt);
+  let jobLabel = load(STORAGE_KEYS.jobLabel);
+  // Borderline swings awaiting review: { id, ts, target, reason, headingDeg, status }
+  let suspects = load(STORAGE_KEYS.suspects);
+  // Target excavation size for this grave (see volume.js)
+  let jobTarget = resolveTarget(load(STORAGE_KEYS.jobTarget)) || { preset: 'adult' };
+  // Pause/Resume periods of this job: [{ start, end }], end is null while paused
+  let pauses = load(STORAGE_KEYS.pauses);
+
+  const totalCount = () => core.totalCount();
+
+  // Grave plus at least one dump target (truck or dirt pile)
+  const isCalibrated = () => core.isCalibrated();
+
+  const formatHeading = (deg) => (Number.isFinite(deg) ? Math.round(deg) : '—');
+
+  const formatTime = (ts) => formatDate(ts, { hour: '2-digit', minute: '2-digit' });
+  const formatTimeWithSeconds = (ts) => formatDate(ts, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  const formatDelta = (delta) => (delta > 0 ? `+${formatNumber(delta)}` : formatNumber(delta));
+
+  // Message keys for the values below (see messages.js); a value without one is shown as is
+  const label = (keys, value) => (keys[value] ? t(keys[value]) : value);
+  const TARGET_LABELS = { truck: 'target.truck', pile: 'target.pile', backfill: 'target.backfill' };
+  const SOURCE_LABELS = { manual: 'source.manual', auto: 'source.auto', review: 'source.review', undo: 'source.undo' };
+  const HEADING_SOURCE_LABELS = {
+    [HEADING_MODES.compass]: 'headingSource.compass',
+    [HEADING_MODES.fused]: 'headingSource.fused',
+    [HEADING_MODES.gyro]: 'headingSource.gyro',
+  };
+  const HEALTH_DOT_CLASSES = {
+    [HEALTH_STATUS.ok]: 'bg-accent',
+    [HEALTH_STATUS.warn]: 'bg-amber-400',
+    [HEALTH_STATUS.bad]: 'bg-danger',
+    [HEALTH_STATUS.unknown]: 'bg-gray-400',
+  };
+  const HEALTH_ISSUE_LABELS = {
+    [HEALTH_ISSUES.stale]: 'health.stale',
+    [HEALTH_ISSUES.slow]: 'health.slow',
+    [HEALTH_ISSUES.frozen]: 'health.frozen',
+    [HEALTH_ISSUES.noisy]: 'health.noisy',
+    [HEALTH_ISSUES.compass]: 'health.compass',
+  };
+  const describeMount = (mount) => {
+    if (!mount) return '';
+    if (mount.kind === MOUNTS.flat) return t('mount.flat');
+    const screen = t(mount.screen === 'landscape' ? 'mount.landscape' : 'mount.portrait');
+    return mount.tilted ? t('mount.tilted', { screen }) : screen;
+  };
+  const SWING_STATE_LABELS = {
+    [STATES.idle]: 'swing.idle',
+    [STATES.atGrave]: 'swing.atGrave',
+    [STATES.swingingOut]: 'swing.swingingOut',
+    [STATES.atTarget]: 'swing.atTarget',
+    [STATES.returning]: 'swing.returning',
+  };
+  // The same states with the swing reversed (see detector.js)
+  const BACKFILL_STATE_LABELS = {
+    [STATES.idle]: 'backfillSwing.idle',
+    [STATES.atGrave]: 'backfillSwing.atGrave',
+    [STATES.swingingOut]: 'backfillSwing.swingingOut',
+    [STATES.atTarget]: 'backfillSwing.atTarget',
+    [STATES.returning]: 'backfillSwing.returning',
+  };
+
+  const isBackfilling = () => core.getState().mode === MODES.backfill;
+
+  // "dug 42 / backfilled 39"
+  const formatPhases = (dug, backfilled) => t('counter.phases', { dug, backfilled });
+
+  const renderEventLog = () => {
+    const events = core.getEvents();
+    if (el.eventLogCount) el.eventLogCount.textContent = String(events.length);
+    if (!el.eventLog) return;
+    el.eventLog.textContent = '';
+    // Newest first so the last change is on top
+    for (let i = events.length - 1; i >= 0; i--) {
+      const event = events[i];
+      const row = document.createElement('li');
+      row.className = 'flex justify-between gap-2 py-0.5 tabular-nums';
+      const heading = Number.isFinite(event.headingDeg) ? `${Math.round(event.headingDeg)}°` : '—';
+      row.textContent = event.source === 'newTruck'
+        ? `${formatTimeWithSeconds(event.ts)} · ${t('log.newTruck')}`
+        : `${formatTimeWithSeconds(event.ts)} · ${label(SOURCE_LABELS, event.source)} · ${label(TARGET_LABELS, event.target)} ${formatDelta(event.delta)} · ${heading}`;
+      // Counted while the sensor data was unreliable (see health.js)
+      if (event.unreliable) {
+        row.textContent += ` · ${t('log.unreliable')}`;
+        row.classList.add('text-amber-700', 'dark:text-amber-300');
+      }
+      el.eventLog.appendChild(row);
+    }
+  };
+
+  // Truck loads with buckets in them; at the end of a job the last one leaves too
+  const hauledLoads = (events) => truckLoads(events).filter((load) => load.buckets > 0);
+
+  // Index of the load the "truck full" alert last went off for
+  let truckFullAlerted = -1;
+
+  const renderTruckLoad = () => {
+    if (!el.truckLoadBlock) return;
+    const loads = core.getTruckLoads();
+    const current = loads[loads.length - 1];
+    const full = current.buckets >= truckCapacity;
+    el.truckLoadBlock.classList.toggle('hidden', isBackfilling());
+    el.truckLoadBlock.classList.toggle('border-danger', full);
+    el.truckLoadText.textContent = t('truck.load', { load: loads.length, buckets: current.buckets, capacity: truckCapacity }) +
+      (loads.length > 1 ? ` · ${t('truck.hauled', { count: loads.length - 1 })}` : '');
+    el.btnNewTruck.disabled = current.buckets <= 0;
+    el.truckFullAlert.classList.toggle('hidden', !full || isBackfilling());
+  };
+
+  // Alert once per load, when a count fills the truck
+  const checkTruckFull = () => {
+    const loads = core.getTruckLoads();
+    const index = loads.length - 1;
+    if (loads[index].buckets >= truckCapacity && truckFullAlerted !== index) {
+      truckFullAlerted = index;
+      feedback.truckFull();
+    } else if (loads[index].buckets < truckCapacity && truckFullAlerted === index) {
+      truckFullAlerted = -1; // undone below capacity; alert again when it fills
+    }
+  };
+
+  const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return t('duration.minutes', { minutes });
+    return t('duration.hours', { hours: Math.floor(minutes / 60), minutes: String(minutes % 60).padStart(2, '0') });
+  };
+
+  // Volume removed, percent complete and time to finish
+  const renderProgress = () => {
+    if (!el.volumeText) return;
+    const progress = estimateProgress({
+      buckets: totalCount(),
+      capacityYd3: bucketCapacityYd3,
+      target: jobTarget,
+      events: core.getEvents(),
+    });
+    el.volumeText.textContent = formatNumber(progress.volumeYd3, 1);
+    el.targetVolumeText.textContent = formatNumber(progress.targetYd3, 1);
+    el.percentText.textContent = Number.isFinite(progress.percent) ? `${Math.round(progress.percent)}%` : '—';
+    el.progressBar.style.width = `${Number.isFinite(progress.percent) ? progress.percent : 0}%`;
+    if (progress.bucketsRemaining === 0) {
+      el.etaText.textContent = t('progress.reached');
+    } else if (Number.isFinite(progress.etaMs)) {
+      el.etaText.textContent = t('progress.eta', { duration: formatDuration(progress.etaMs), rate: Math.round(progress.bucketsPerHour) });
+    } else {
+      el.etaText.textContent = t('progress.etaPending');
+    }
+  };
+
+  const renderGraveTarget = () => {
+    if (!el.gravePreset) return;
+    const dims = GRAVE_PRESETS[jobTarget.preset] || jobTarget;
+    el.gravePreset.value = jobTarget.preset in GRAVE_PRESETS ? jobTarget.preset : 'custom';
+    [[el.graveLength, dims.lengthFt], [el.graveWidth, dims.widthFt], [el.graveDepth, dims.depthFt]].forEach(([input, value]) => {
+      input.value = value === undefined ? '' : String(value);
+      input.disabled = el.gravePreset.value !== 'custom';
+    });
+  };
+
+  const updateGraveTarget = () => {
+    const preset = el.gravePreset.value;
+    const next = preset === 'custom'
+      ? { preset, lengthFt: el.graveLength.value, widthFt: el.graveWidth.value, depthFt: el.graveDepth.value }
+      : { preset };
+    // Keep incomplete custom sizes editable but only persist a usable target
+    const resolved = resolveTarget(next);
+    jobTarget = resolved || next;
+    if (resolved) save(STORAGE_KEYS.jobTarget, resolved);
+    if (preset !== 'custom') renderGraveTarget();
+    else [el.graveLength, el.graveWidth, el.graveDepth].forEach((input) => { input.disabled = false; });
+    renderProgress();
+  };
+
+  const renderHeadingText = (state) => {
+    el.headingText.textContent = String(Math.round(state.heading));
+    if (el.headingSourceText) el.headingSourceText.textContent = state.headingReady ? label(HEADING_SOURCE_LABELS, state.headingMode) : '';
+    if (el.mountText) el.mountText.textContent = state.headingReady ? describeMount(state.mount) : '—';
+  };
+
+  const renderStatusText = (state, stale) => {
+    const labels = state.mode === MODES.backfill ? BACKFILL_STATE_LABELS : SWING_STATE_LABELS;
+    if (isRunning && stale) {
+      el.statusText.textContent = t('status.stale');
+    } else if (isRunning && !state.headingReady) {
+      el.statusText.textContent = t('status.initializing');
+    } else if (isRunning && !isCalibrated()) {
+      el.statusText.textContent = t('status.readyToCalibrate');
+    } else if (isRunning) {
+      el.statusText.textContent = t('status.detectingState', { state: label(labels, state.swingState) });
+    } else {
+      el.statusText.textContent = t('status.idle');
+    }
+  };
+
+  // What the last full render() showed, so heading samples can tell when they need one
+  let renderedStatus = { headingReady: false, stale: false };
+
+  // Heading samples arrive many times a second: refresh only the heading and the
+  // detection status unless the sensor just became ready or came back from a stall.
+  // Health follows on its own timer (see checkSensorHealth).
+  const renderHeading = () => {
+    const state = core.getState();
+    if (state.headingReady !== renderedStatus.headingReady || renderedStatus.stale) {
+      render();
+      return;
+    }
+    renderHeadingText(state);
+    renderStatusText(state, false);
+  };
 
   // Initial UI sync
   const render = () => {
-    el.counterValue.textContent = String(counter);
-    el.graveHeadingLabel.textContent = Number.isFinite(graveHeading) ? Math.round(graveHeading) : '—';
-    el.truckHeadingLabel.textContent = Number.isFinite(truckHeading) ? Math.round(truckHeading) : '—';
-    el.headingText.textContent = String(Math.round(currentHeadingDeg));
-    const calibrated = Number.isFinite(graveHeading) && Number.isFinite(truckHeading);
-    if (isRunning && !headingReady) {
-      el.statusText.textContent = 'Initializing sensors…';
-    } else if (isRunning && !calibrated) {
-      el.statusText.textContent = 'Ready to calibrate';
-    } else if (isRunning && calibrated) {
-      el.statusText.textContent = 'Detecting…';
-    } else {
-      el.statusText.textContent = 'Idle';
+    const state = core.getState();
+    const { headingReady, truckHeading, pileHeading, graveHeading } = state;
+    const backfilling = state.mode === MODES.backfill;
+    el.counterValue.textContent = formatNumber(backfilling ? state.backfillCount : totalCount());
+    if (el.counterLabel) el.counterLabel.textContent = t(backfilling ? 'counter.backfilled' : 'counter.total');
+    if (el.phaseSummary) {
+      el.phaseSummary.classList.toggle('hidden', !backfilling && state.backfillCount === 0);
+      el.phaseSummary.textContent = formatPhases(totalCount(), state.backfillCount);
     }
+    if (el.btnModeDig) el.btnModeDig.setAttribute('aria-pressed', String(!backfilling));
+    if (el.btnModeBackfill) el.btnModeBackfill.setAttribute('aria-pressed', String(backfilling));
+    if (el.truckCountValue) el.truckCountValue.textContent = formatNumber(state.truckCount);
+    if (el.pileCountValue) el.pileCountValue.textContent = formatNumber(state.pileCount);
+    // Manual adjustments go to the backfill count while backfilling
+    if (el.btnSelectTruck) el.btnSelectTruck.setAttribute('aria-pressed', String(!backfilling && selectedTarget === 'truck'));
+    if (el.btnSelectPile) el.btnSelectPile.setAttribute('aria-pressed', String(!backfilling && selectedTarget === 'pile'));
+    el.graveHeadingLabel.textContent = formatHeading(graveHeading);
+    el.truckHeadingLabel.textContent = formatHeading(truckHeading);
+    if (el.pileHeadingLabel) el.pileHeadingLabel.textContent = formatHeading(pileHeading);
+    renderHeadingText(state);
+    if (el.btnUndo) el.btnUndo.disabled = core.getEvents().length === 0;
+    renderProgress();
+    renderTruckLoad();
+    renderUpdateBanner();
+    const calibrated = isCalibrated();
+    const health = core.getHealth();
+    renderHealth(health);
+    renderedStatus = { headingReady, stale: health.issues.indexOf(HEALTH_ISSUES.stale) >= 0 };
+    renderStatusText(state, renderedStatus.stale);
     if (el.btnToggle) {
-      el.btnToggle.textContent = isRunning ? 'Pause' : (hasActivated ? 'Resume' : 'Start');
+      el.btnToggle.textContent = t(isRunning ? 'toggle.pause' : (hasActivated ? 'toggle.resume' : 'toggle.start'));
       el.btnToggle.className = isRunning
         ? 'rounded bg-danger px-3 py-2 font-semibold text-white'
         : 'rounded bg-accent px-3 py-2 font-semibold text-white';
@@ -164,13 +529,13 @@
     // Instruction text content flow
     if (el.instructionText) {
       if (!hasActivated) {
-        el.instructionText.textContent = 'Press Start to enable motion detection. Then set Grave and Truck positions.';
+        el.instructionText.textContent = t('instruction.start');
       } else if (!headingReady) {
-        el.instructionText.textContent = 'Move device to initialize sensors…';
-      } else if (!Number.isFinite(truckHeading)) {
-        el.instructionText.textContent = 'Set Truck Position';
+        el.instructionText.textContent = t('instruction.moveDevice');
+      } else if (!Number.isFinite(truckHeading) && !Number.isFinite(pileHeading)) {
+        el.instructionText.textContent = t(autoCalibrateEnabled ? 'instruction.autoCalibrate' : 'instruction.setDump');
       } else if (!Number.isFinite(graveHeading)) {
-        el.instructionText.textContent = 'Set Grave Position';
+        el.instructionText.textContent = t('instruction.setGrave');
       }
     }
     const shouldShowInstruction = !hasActivated || !headingReady || !calibrated;
@@ -186,50 +551,267 @@
   // Track explicit permission denial in-session
   let permissionsDenied = false;
 
-  // Auto-detect increment: +1
-  const increment = () => {
-    counter += 1;
-    save(STORAGE_KEYS.counter, counter);
-    render();
+  // Counts change through the core; the log, recorder and view follow its 'change' events
+  const changeCount = (target, delta, source, extra) => core.changeCount(target, delta, source, extra);
+
+  const feedback = createFeedback();
+
+  // App updates: a new release waits until no job is in progress, then reloads
+  const isJobInProgress = () => isRunning || Boolean(jobStartedAt) || totalCount() > 0;
+
+  const updater = createUpdater({
+    onAvailable: () => render(),
+    isSafeToReload: () => !isJobInProgress(),
+  });
+
+  const renderUpdateBanner = () => {
+    if (!el.updateBanner) return;
+    const available = updater.isAvailable();
+    el.updateBanner.classList.toggle('hidden', !available);
+    if (!available) return;
+    const busy = isJobInProgress();
+    el.updateText.textContent = t(busy ? 'update.afterGrave' : 'update.available');
+    el.btnApplyUpdate.classList.toggle('hidden', busy);
   };
 
-  // Manual controls: ±0.5
-  const manualInc = () => {
-    counter = Math.max(0, (counter || 0) + 0.5);
-    save(STORAGE_KEYS.counter, counter);
+  // Manual controls: ±manualStep (0.5 by default) on the selected count
+  const manualTarget = () => (isBackfilling() ? 'backfill' : selectedTarget);
+
+  const manualInc = () => changeCount(manualTarget(), manualStep, 'manual');
+
+  const manualDec = () => changeCount(manualTarget(), -manualStep, 'manual');
+
+  // Revert the most recent event, whatever its source
+  const undoLast = () => {
+    const last = core.undo();
+    // Undoing an accepted suspect puts it back up for review
+    if (last && last.suspectId) setSuspectStatus(last.suspectId, 'pending');
+  };
+
+  // Suspect swing review
+  // Each message takes the target, e.g. "Stopped short of the truck"
+  const SUSPECT_LABELS = {
+    [SUSPECT_REASONS.partial]: 'suspect.partial',
+    [SUSPECT_REASONS.overshoot]: 'suspect.overshoot',
+    [SUSPECT_REASONS.shortDwell]: 'suspect.shortDwell',
+    [SUSPECT_REASONS.tooSoon]: 'suspect.tooSoon',
+    [SUSPECT_REASONS.noGraveReturn]: 'suspect.noGraveReturn',
+    [SUSPECT_REASONS.noDump]: 'suspect.noDump',
+  };
+  const BACKFILL_SUSPECT_LABELS = {
+    ...SUSPECT_LABELS,
+    [SUSPECT_REASONS.noGraveReturn]: 'suspect.nothingLoaded',
+  };
+  const SUSPECT_TARGETS = { truck: 'suspect.truck', pile: 'suspect.pile', backfill: 'suspect.backfill' };
+
+  const pendingSuspects = () => suspects.filter((s) => s.status === 'pending');
+
+  const renderSuspects = () => {
+    const pending = pendingSuspects();
+    if (el.btnReview) el.btnReview.classList.toggle('hidden', pending.length === 0);
+    if (el.reviewCount) el.reviewCount.textContent = String(pending.length);
+    if (!el.reviewList) return;
+    if (pending.length === 0 && el.reviewBlock) el.reviewBlock.classList.add('hidden');
+    el.reviewList.textContent = '';
+    pending.forEach((item) => {
+      const row = document.createElement('li');
+      row.className = 'flex items-center justify-between gap-2 py-1';
+      const text = document.createElement('span');
+      const labels = item.target === 'backfill' ? BACKFILL_SUSPECT_LABELS : SUSPECT_LABELS;
+      const target = label(SUSPECT_TARGETS, item.target);
+      const reason = labels[item.reason] ? t(labels[item.reason], { target }) : `${item.reason} ${target}`;
+      text.textContent = `${formatTimeWithSeconds(item.ts)} · ${reason}` +
+        (item.unreliable ? ` ${t('review.unreliable')}` : '');
+      const actions = document.createElement('span');
+      actions.className = 'flex shrink-0 gap-1';
+      const accept = document.createElement('button');
+      accept.type = 'button';
+      accept.className = 'rounded bg-accent px-2 py-1 text-xs font-semibold text-white';
+      accept.textContent = t('review.count');
+      accept.addEventListener('click', () => acceptSuspect(item.id));
+      const reject = document.createElement('button');
+      reject.type = 'button';
+      reject.className = 'rounded border border-black/10 px-2 py-1 text-xs dark:border-white/10';
+      reject.textContent = t('review.ignore');
+      reject.addEventListener('click', () => setSuspectStatus(item.id, 'rejected'));
+      actions.appendChild(accept);
+      actions.appendChild(reject);
+      row.appendChild(text);
+      row.appendChild(actions);
+      el.reviewList.appendChild(row);
+    });
+  };
+
+  const setSuspectStatus = (id, status) => {
+    const item = suspects.find((s) => s.id === id);
+    if (!item) return;
+    item.status = status;
+    save(STORAGE_KEYS.suspects, suspects);
+    renderSuspects();
+  };
+
+  const acceptSuspect = (id) => {
+    const item = suspects.find((s) => s.id === id);
+    if (!item || item.status !== 'pending') return;
+    setSuspectStatus(id, 'accepted');
+    changeCount(item.target, 1, 'review', { suspectId: id });
+  };
+
+  const addSuspect = (result) => {
+    suspects.push({
+      id: `${result.ts}-${suspects.length}`,
+      ts: result.ts,
+      target: result.target,
+      reason: result.reason,
+      headingDeg: Math.round(core.getState().heading * 10) / 10,
+      status: 'pending',
+      ...(result.unreliable ? { unreliable: true } : {}),
+    });
+    save(STORAGE_KEYS.suspects, suspects);
+    renderSuspects();
+  };
+
+  const selectTarget = (target) => {
+    selectedTarget = target === 'pile' ? 'pile' : 'truck';
+    save(STORAGE_KEYS.selectedTarget, selectedTarget);
+    // Picking a dig count means the operator is digging again
+    core.setMode(MODES.dig);
     render();
   };
 
-  const manualDec = () => {
-    counter = Math.max(0, (counter || 0) - 0.5);
-    save(STORAGE_KEYS.counter, counter);
+  // Running/paused state, so a reload can offer to carry on with the job
+  const saveSession = () => {
+    save(STORAGE_KEYS.session, { hasActivated, running: isRunning, savedAt: Date.now() });
+  };
+
+  const hideResumePrompt = () => {
+    if (el.resumeBlock) el.resumeBlock.classList.add('hidden');
+  };
+
+  // Restore a job that was started before the page was reloaded or killed
+  const offerResume = () => {
+    const session = load(STORAGE_KEYS.session);
+    if (!session || !session.hasActivated) return;
+    hasActivated = true;
+    // Sensors stopped with the page; treat the time since as paused
+    const events = core.getEvents();
+    const openPause = pauses[pauses.length - 1];
+    if (session.running && jobStartedAt && !(openPause && openPause.end === null)) {
+      const lastEvent = events[events.length - 1];
+      const since = Math.max(session.savedAt || 0, lastEvent ? lastEvent.ts : 0) || Date.now();
+      pauses.push({ start: since, end: null });
+      save(STORAGE_KEYS.pauses, pauses);
+    }
+    saveSession();
+    if (el.resumeBlock) {
+      renderResumePrompt();
+      el.resumeBlock.classList.remove('hidden');
+    }
     render();
   };
 
-  const newGrave = () => {
+  const renderResumePrompt = () => {
+    const events = core.getEvents();
+    const from = jobStartedAt || load(STORAGE_KEYS.session).savedAt;
+    const total = totalCount();
+    el.resumeText.textContent = t('resume.prompt', { time: formatTime(from), count: total });
+    const lastEvent = events[events.length - 1];
+    el.resumeDetail.textContent = [
+      jobLabel.trim(),
+      t(isCalibrated() ? 'resume.calibrated' : 'resume.notCalibrated'),
+      lastEvent ? t('resume.lastCount', { time: formatTime(lastEvent.ts) }) : '',
+    ].filter(Boolean).join(' · ');
+  };
+
+  // Snapshot of the current job for the history archive
+  const buildJobRecord = () => {
+    const { truckCount, pileCount, backfillCount, total, graveHeading, pileHeading, truckHeading } = core.getState();
+    return {
+      label: jobLabel.trim(),
+      startedAt: jobStartedAt || Date.now(),
+      endedAt: Date.now(),
+      truckCount,
+      pileCount,
+      total,
+      backfillCount,
+      truckLoads: hauledLoads(core.getEvents()),
+      loadsHauled: hauledLoads(core.getEvents()).length,
+      calibration: {
+        graveHeading: Number.isFinite(graveHeading) ? graveHeading : null,
+        pileHeading: Number.isFinite(pileHeading) ? pileHeading : null,
+        truckHeading: Number.isFinite(truckHeading) ? truckHeading : null,
+      },
+      machine: activeProfile().name,
+      ...detection,
+      manualStep,
+      events: core.getEvents().slice(),
+      suspects: suspects.slice(),
+      pauses: pauses.map((p) => ({ ...p })),
+      target: resolveTarget(jobTarget),
+      bucketCapacityYd3,
+      volumeYd3: total * bucketCapacityYd3,
+      targetYd3: targetVolumeYd3(jobTarget) || null,
+      ...(simulator ? { simulated: true } : {}),
+    };
+  };
+
+  const archiveJob = async () => {
+    // Nothing worth keeping if the job never started and nothing was counted
+    if (!jobStartedAt && totalCount() === 0) return;
+    const history = window.BucketCounter && window.BucketCounter.history;
+    if (!history) return;
+    try {
+      await history.addJob(buildJobRecord());
+    } catch (_) {
+      // Storage unavailable (e.g. private mode); the reset still goes ahead
+    }
+  };
+
+  let newGraveBusy = false;
+
+  const newGrave = async () => {
+    // A double tap must not archive the same job twice
+    if (newGraveBusy) return;
+    newGraveBusy = true;
+    [el.btnNewGrave, el.btnStartCleanJob].forEach((button) => { if (button) button.disabled = true; });
+    try {
+      await archiveJob();
+    } finally {
+      newGraveBusy = false;
+      [el.btnNewGrave, el.btnStartCleanJob].forEach((button) => { if (button) button.disabled = false; });
+    }
+
     // Stop detection and revert to initial state
     if (isRunning) {
-      window.removeEventListener('deviceorientation', onDeviceOrientation);
+      detachSensors();
     }
     isRunning = false;
     hasActivated = false;
-    headingReady = false;
+    hideResumePrompt();
     releaseScreenWakeLock();
 
-    // Reset counters and calibration
-    counter = 0;
-    save(STORAGE_KEYS.counter, counter);
-    graveHeading = NaN;
-    truckHeading = NaN;
-    save(STORAGE_KEYS.grave, graveHeading);
-    save(STORAGE_KEYS.truck, truckHeading);
+    // Reset counters, calibration and the detector
+    core.resetJob();
+    truckFullAlerted = -1;
+    renderEventLog();
+    suspects = [];
+    save(STORAGE_KEYS.suspects, suspects);
+    renderSuspects();
+    pauses = [];
+    save(STORAGE_KEYS.pauses, pauses);
+    jobStartedAt = 0;
+    jobLabel = '';
+    save(STORAGE_KEYS.jobStartedAt, jobStartedAt);
+    save(STORAGE_KEYS.jobLabel, jobLabel);
+    if (el.jobLabelInput) el.jobLabelInput.value = '';
 
-    // Reset detection helpers
-    lastNearGraveTs = 0;
-    lastIncrementTs = 0;
+    resetAutoCalibration();
+    saveSession();
 
-    el.statusText.textContent = 'Idle';
+    el.statusText.textContent = t('status.idle');
     render();
+    // The grave is archived, so a waiting update can go in now
+    updater.apply();
   };
 
   // Calibration handlers
@@ -237,106 +819,288 @@
     const granted = await ensureSensorPermissions();
     if (!granted) {
       permissionsDenied = true;
-      el.statusText.textContent = 'Permission required to read heading';
+      el.statusText.textContent = t('status.permissionRequired');
       render();
       throw new Error('sensor-permission-denied');
     }
+    // While detecting, the fused heading is already live
+    const state = core.getState();
+    if (isRunning && state.headingReady) return state.heading;
     return await new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
-        window.removeEventListener('deviceorientation', onceHandler);
-        el.statusText.textContent = 'No sensor data. Move phone or tap Start';
+        window.removeEventListener(ORIENTATION_EVENT, onceHandler);
+        el.statusText.textContent = t('status.noSensorData');
         reject(new Error('sensor-timeout'));
       }, 2000);
       const onceHandler = (event) => {
-        const h = deriveHeadingFromOrientation(event);
+        if (isIgnoredSensorEvent(event)) return;
         clearTimeout(timeoutId);
-        window.removeEventListener('deviceorientation', onceHandler);
-        resolve(h);
+        window.removeEventListener(ORIENTATION_EVENT, onceHandler);
+        resolve(core.sampleHeading(event, screenAngle()));
       };
-      window.addEventListener('deviceorientation', onceHandler, { once: true });
+      window.addEventListener(ORIENTATION_EVENT, onceHandler);
     });
   };
 
-  const setGrave = async () => {
+  // Point the cab at a target and tap its Set button; detection starts once calibrated
+  const calibrateTarget = async (name) => {
     try {
       const h = await readFreshHeading();
-      graveHeading = h;
-      save(STORAGE_KEYS.grave, graveHeading);
+      core.setTarget(name, h);
       render();
-      if (Number.isFinite(graveHeading) && Number.isFinite(truckHeading)) {
+      if (isCalibrated()) {
         start();
       }
     } catch (_) {}
   };
-  const setTruck = async () => {
-    try {
-      const h = await readFreshHeading();
-      truckHeading = h;
-      save(STORAGE_KEYS.truck, truckHeading);
-      render();
-      if (Number.isFinite(graveHeading) && Number.isFinite(truckHeading)) {
-        start();
+  const setGrave = () => calibrateTarget('grave');
+  const setTruck = () => calibrateTarget('truck');
+  const setPile = () => calibrateTarget('pile');
+
+  // Auto-calibration: propose grave/truck from where the cab dwells, then follow the dump targets
+  const autoCalibrator = createAutoCalibrator();
+  let autoCalibrateEnabled = load(STORAGE_KEYS.autoCalibrate);
+  let autoCalProposal = null; // { graveHeading, truckHeading, swings } awaiting confirmation
+
+  const renderAutoCalibration = () => {
+    if (!el.autoCalBlock) return;
+    el.autoCalBlock.classList.toggle('hidden', !autoCalProposal);
+    if (!autoCalProposal) return;
+    el.autoCalGrave.textContent = formatHeading(autoCalProposal.graveHeading);
+    el.autoCalTruck.textContent = formatHeading(autoCalProposal.truckHeading);
+  };
+
+  const resetAutoCalibration = () => {
+    autoCalibrator.reset();
+    autoCalProposal = null;
+    renderAutoCalibration();
+  };
+
+  const maybeAutoCalibrate = (headingDeg, now) => {
+    // Backfilling reuses the calibration from digging
+    if (!isRunning || !autoCalibrateEnabled || isBackfilling()) return;
+    const period = autoCalibrator.addSample(headingDeg, now);
+    if (!period) return;
+    if (!isCalibrated()) {
+      const proposal = autoCalibrator.propose();
+      if (proposal) {
+        autoCalProposal = proposal;
+        renderAutoCalibration();
       }
-    } catch (_) {}
+      return;
+    }
+    // Calibrated: follow a dump target that was moved a little, never the grave
+    const { truckHeading, pileHeading } = core.getCalibration();
+    const windowDeg = detection.toleranceDeg * 2;
+    const nextTruck = adaptHeading(truckHeading, period.heading, windowDeg);
+    const nextPile = adaptHeading(pileHeading, period.heading, windowDeg);
+    if (nextTruck !== truckHeading) {
+      core.setTarget('truck', nextTruck);
+    } else if (nextPile !== pileHeading) {
+      core.setTarget('pile', nextPile);
+    }
   };
 
-  // Detection logic
-  const maybeDetectSwivel = (headingDeg) => {
-    if (!isRunning) return;
-    if (!Number.isFinite(graveHeading) || !Number.isFinite(truckHeading)) return;
+  const confirmAutoCalibration = () => {
+    if (!autoCalProposal) return;
+    core.setTarget('grave', autoCalProposal.graveHeading);
+    core.setTarget('truck', autoCalProposal.truckHeading);
+    autoCalProposal = null;
+    core.resetDetection();
+    renderAutoCalibration();
+    render();
+  };
+
+  const swapAutoCalibration = () => {
+    if (!autoCalProposal) return;
+    const { graveHeading: grave, truckHeading: truck } = autoCalProposal;
+    autoCalProposal = { ...autoCalProposal, graveHeading: truck, truckHeading: grave };
+    renderAutoCalibration();
+  };
 
-    const now = Date.now();
-    if (now - lastIncrementTs < debounceMs) return; // debounce
+  // Start collecting afresh; a new proposal appears after a few more swings
+  const dismissAutoCalibration = () => resetAutoCalibration();
 
-    const near = (target) => smallestAngleDelta(headingDeg, target) <= toleranceDeg;
+  const setAutoCalibrateEnabled = (enabled) => {
+    autoCalibrateEnabled = enabled;
+    save(STORAGE_KEYS.autoCalibrate, enabled);
+    if (!enabled) resetAutoCalibration();
+    render();
+  };
 
-    const nearGrave = near(graveHeading);
-    const nearTruck = near(truckHeading);
+  // Simulated sensors (?simulate in the URL): headings from the dial, the arrow keys or a
+  // swing script, sent as orientation events to the same listeners as the real sensor
+  const simulator = new URLSearchParams(window.location.search).has('simulate')
+    ? createSimulator({
+      onSample: (headingDeg) => {
+        window.dispatchEvent(toOrientationEvent(ORIENTATION_EVENT, headingDeg, screenAngle()));
+        renderSimulator();
+      },
+    })
+    : null;
 
-    // Strategy: count when reaching truck, provided we started from grave
-    if (nearTruck) {
-      // Assurance: require we were near grave recently (within a window)
-      if (lastNearGraveTs && now - lastNearGraveTs < 4000) {
-        increment();
-        lastIncrementTs = now;
-      }
-    }
+  // While simulating, the phone's own sensors are ignored
+  const isIgnoredSensorEvent = (event) => Boolean(simulator) && event.isTrusted;
 
-    if (nearGrave) {
-      lastNearGraveTs = now;
-    }
+  const renderSimulator = () => {
+    if (!simulator || !el.simBlock) return;
+    const deg = Math.round(simulator.getHeading()) % 360;
+    el.simHeadingText.textContent = String(deg);
+    el.simDial.setAttribute('aria-valuenow', String(deg));
+    el.simNeedle.style.transform = `translateX(-50%) rotate(${simulator.getHeading()}deg)`;
+    const script = simulator.getScript();
+    el.simScriptText.textContent = script ? t('sim.progress', { swing: script.swing, count: script.count }) : '';
+    el.btnSimSwings.textContent = t(script ? 'sim.stop' : 'sim.run');
   };
 
-  let lastNearGraveTs = 0;
+  // Compass heading of a point on the dial, clockwise from the top
+  const dialHeading = (event) => {
+    const rect = el.simDial.getBoundingClientRect();
+    const dx = event.clientX - (rect.left + rect.width / 2);
+    const dy = event.clientY - (rect.top + rect.height / 2);
+    return Math.atan2(dx, -dy) * 180 / Math.PI;
+  };
 
-  // Heading calculation
-  // We prefer absolute compass heading (alpha with webkitCompassHeading on iOS) when available.
-  const deriveHeadingFromOrientation = (event) => {
-    // iOS Safari provides webkitCompassHeading (0 = N, 90 = E)
-    const anyEvent = event;
-    if (typeof anyEvent.webkitCompassHeading === 'number') {
-      return clampDeg(anyEvent.webkitCompassHeading);
-    }
-    // Otherwise, use alpha (0..360) and attempt to interpret as compass heading
-    if (typeof event.alpha === 'number') {
-      // alpha is device orientation around Z axis; on most browsers alpha=0 when device is facing north.
-      // We'll assume alpha aligns with compass heading in degrees.
-      return clampDeg(360 - event.alpha); // invert to match compass clockwise
+  // Swing between the calibrated grave and dump targets, or 90° either side of here before calibrating
+  const toggleSimulatedSwings = () => {
+    if (simulator.getScript()) {
+      simulator.stopSwings();
+    } else {
+      const { graveHeading, truckHeading, pileHeading } = core.getCalibration();
+      const calibrated = [truckHeading, pileHeading].filter(Number.isFinite);
+      const from = Number.isFinite(graveHeading) ? graveHeading : simulator.getHeading();
+      const count = Math.round(Number(el.simSwingCount.value)) || 20;
+      simulator.runSwings({ from, targets: calibrated.length ? calibrated : [from + 90], count, detection });
     }
-    return currentHeadingDeg;
+    renderSimulator();
   };
 
+  const initSimulator = () => {
+    if (!simulator || !el.simBlock) return;
+    el.simBlock.classList.remove('hidden');
+    let dragging = false;
+    el.simDial.addEventListener('pointerdown', (event) => {
+      dragging = true;
+      el.simDial.setPointerCapture(event.pointerId);
+      simulator.setHeading(dialHeading(event));
+    });
+    el.simDial.addEventListener('pointermove', (event) => {
+      if (dragging) simulator.setHeading(dialHeading(event));
+    });
+    el.simDial.addEventListener('pointerup', () => { dragging = false; });
+    el.simDial.addEventListener('pointercancel', () => { dragging = false; });
+    document.addEventListener('keydown', (event) => {
+      if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+      if (event.target.closest && event.target.closest('input, select, textarea')) return;
+      event.preventDefault();
+      const step = event.shiftKey ? 1 : 5;
+      simulator.nudge(event.key === 'ArrowLeft' ? -step : step);
+    });
+    el.btnSimSwings.addEventListener('click', toggleSimulatedSwings);
+    simulator.start();
+    renderSimulator();
+  };
+
+  // Sensor events go straight to the core, which fuses gyro and compass and runs detection
   const onDeviceOrientation = (event) => {
-    currentHeadingDeg = deriveHeadingFromOrientation(event);
-    lastHeadingTs = Date.now();
-    if (!headingReady && Number.isFinite(currentHeadingDeg)) {
-      headingReady = true;
+    if (isIgnoredSensorEvent(event)) return;
+    core.onOrientation(event, screenAngle());
+  };
+
+  const onDeviceMotion = (event) => {
+    if (isIgnoredSensorEvent(event)) return;
+    core.onMotion(event);
+    recorder.addMotion(event);
+  };
+
+  // Sensor health: a coloured dot, what is wrong, and the figure 8 prompt
+  const renderHealth = (health) => {
+    const status = isRunning ? health.status : HEALTH_STATUS.unknown;
+    if (el.healthDot) el.healthDot.className = `inline-block h-2.5 w-2.5 shrink-0 rounded-full ${HEALTH_DOT_CLASSES[status]}`;
+    if (el.healthText) {
+      if (status === HEALTH_STATUS.unknown) {
+        el.healthText.textContent = '—';
+      } else if (health.issues.length) {
+        el.healthText.textContent = health.issues.map((issue) => label(HEALTH_ISSUE_LABELS, issue)).join(', ');
+      } else {
+        el.healthText.textContent = Number.isFinite(health.rateHz)
+          ? t('health.okDetail', { rate: Math.round(health.rateHz), noise: formatNumber(health.noiseDeg || 0, 1) })
+          : t('health.ok');
+      }
     }
+    if (el.compassPrompt) el.compassPrompt.classList.toggle('hidden', !isRunning || health.issues.indexOf(HEALTH_ISSUES.compass) < 0);
+  };
+
+  // A stream that stops sends no events, so health is re-checked on a timer while detecting.
+  // Time without data is paused like a tap on Pause, until data returns; no swing is
+  // counted across the gap (see onOrientation in core.js).
+  let healthTimer = null;
+
+  const checkSensorHealth = () => {
+    const health = core.getHealth();
+    const openPause = pauses[pauses.length - 1];
+    if (health.issues.indexOf(HEALTH_ISSUES.stale) >= 0 && jobStartedAt && !(openPause && openPause.end === null)) {
+      pauses.push({ start: health.lastTs, end: null, reason: 'sensor' });
+      save(STORAGE_KEYS.pauses, pauses);
+    }
+    render();
+  };
+
+  const endSensorPause = (ts) => {
+    const openPause = pauses[pauses.length - 1];
+    if (!openPause || openPause.end !== null || openPause.reason !== 'sensor') return;
+    openPause.end = ts;
+    save(STORAGE_KEYS.pauses, pauses);
+  };
+
+  const onCompassNeedsCalibration = (event) => {
+    if (event.cancelable) event.preventDefault(); // our own prompt instead of the browser's
+    core.flagCompassCalibration();
     render();
-    maybeDetectSwivel(currentHeadingDeg);
+  };
+
+  const onCoreEvent = (type, detail) => {
+    if (type === 'heading') {
+      endSensorPause(detail.ts);
+      recorder.addSample(detail.event, detail.heading);
+      renderHeading();
+      maybeAutoCalibrate(detail.heading, detail.ts);
+    } else if (type === 'change') {
+      recorder.addCountEvent(detail);
+      if (detail.target === 'truck') checkTruckFull();
+      renderEventLog();
+      render();
+    } else if (type === 'count') {
+      feedback.counted(detail.target === 'backfill' ? core.getState().backfillCount : totalCount());
+    } else if (type === 'suspect') {
+      addSuspect(detail);
+      feedback.suspect();
+    } else if (type === 'dump') {
+      addDumpSample(detail);
+    } else if (type === 'calibration' || type === 'mode') {
+      recorder.addChange(type === 'mode' ? { mode: detail } : { calibration: currentCalibration() });
+      render();
+    }
+  };
+
+  const attachSensors = () => {
+    window.addEventListener(ORIENTATION_EVENT, onDeviceOrientation);
+    window.addEventListener('devicemotion', onDeviceMotion);
+    window.addEventListener('compassneedscalibration', onCompassNeedsCalibration);
+    clearInterval(healthTimer);
+    healthTimer = setInterval(checkSensorHealth, 1000);
+  };
+
+  const detachSensors = () => {
+    window.removeEventListener(ORIENTATION_EVENT, onDeviceOrientation);
+    window.removeEventListener('devicemotion', onDeviceMotion);
+    window.removeEventListener('compassneedscalibration', onCompassNeedsCalibration);
+    clearInterval(healthTimer);
+    healthTimer = null;
   };
 
   const ensureSensorPermissions = async () => {
+    if (simulator) return true;
     // iOS 13+ requires explicit permission, some versions gate BOTH motion and orientation
     try {
       let motionGranted = true;
@@ -371,15 +1135,26 @@
     const granted = await ensureSensorPermissions();
     if (!granted) {
       permissionsDenied = true;
-      el.statusText.textContent = 'Permission denied. Tap Retry to try again or Reload the app to re-prompt.';
+      el.statusText.textContent = t('status.permissionDenied');
       render();
       return;
     }
-    window.addEventListener('deviceorientation', onDeviceOrientation);
+    attachSensors();
     isRunning = true;
     hasActivated = true;
-    headingReady = false;
-    el.statusText.textContent = 'Detecting…';
+    core.setRunning(true);
+    if (!jobStartedAt) {
+      jobStartedAt = Date.now();
+      save(STORAGE_KEYS.jobStartedAt, jobStartedAt);
+    }
+    const openPause = pauses[pauses.length - 1];
+    if (openPause && openPause.end === null) {
+      openPause.end = Date.now();
+      save(STORAGE_KEYS.pauses, pauses);
+    }
+    saveSession();
+    hideResumePrompt();
+    el.statusText.textContent = t('status.detecting');
     // Keep screen awake while detecting
     requestScreenWakeLock();
     render();
@@ -387,16 +1162,542 @@
 
   const stop = () => {
     if (!isRunning) return;
-    window.removeEventListener('deviceorientation', onDeviceOrientation);
+    detachSensors();
     isRunning = false;
-    el.statusText.textContent = 'Idle';
+    core.setRunning(false);
+    // A pause already open for missing sensor data simply carries on
+    const openPause = pauses[pauses.length - 1];
+    if (jobStartedAt && !(openPause && openPause.end === null)) {
+      pauses.push({ start: Date.now(), end: null });
+      save(STORAGE_KEYS.pauses, pauses);
+    }
+    saveSession();
+    el.statusText.textContent = t('status.idle');
     releaseScreenWakeLock();
     render();
   };
 
+  // History screen
+  const formatDay = (ts) => formatDate(ts, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+  const makeEl = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  const renderHistory = async () => {
+    const history = window.BucketCounter && window.BucketCounter.history;
+    if (!el.historyList) return;
+    el.historyList.textContent = '';
+    let jobs = [];
+    try {
+      jobs = history ? await history.listJobs() : [];
+    } catch (_) {
+      el.historyList.appendChild(makeEl('p', 'text-sm text-danger', t('history.unavailable')));
+      return;
+    }
+    if (jobs.length === 0) {
+      el.historyList.appendChild(makeEl('p', 'text-center text-sm text-gray-600 dark:text-white/70', t('history.empty')));
+      return;
+    }
+    history.groupByDay(jobs).forEach((day) => {
+      const dayBlock = makeEl('div', 'mb-4');
+      const header = makeEl('div', 'mb-2 flex items-baseline justify-between border-b border-black/10 pb-1 dark:border-white/10');
+      header.appendChild(makeEl('div', 'font-semibold', formatDay(day.date)));
+      header.appendChild(makeEl('div', 'text-sm tabular-nums', [
+        t('history.buckets', { count: day.total }),
+        day.backfillCount ? t('history.backfilled', { count: day.backfillCount }) : '',
+        t('history.jobs', { count: day.jobs.length }),
+      ].filter(Boolean).join(' · ')));
+      dayBlock.appendChild(header);
+      day.jobs.forEach((job) => {
+        const row = makeEl('button', 'flex w-full items-baseline justify-between rounded py-1 text-left text-sm hover:bg-black/5 dark:hover:bg-white/10');
+        row.type = 'button';
+        row.addEventListener('click', () => showJob(job, 'history'));
+        const left = makeEl('div');
+        left.appendChild(makeEl('div', 'font-medium', job.label || t('history.unlabelled')));
+        left.appendChild(makeEl('div', 'text-xs text-gray-500 dark:text-white/60', [
+          `${formatTime(job.startedAt)}–${formatTime(job.endedAt)}`,
+          job.machine,
+          t('history.truck', { count: job.truckCount }),
+          t('history.pile', { count: job.pileCount }),
+          job.backfillCount ? formatPhases(job.total, job.backfillCount) : '',
+          job.importedAt ? t('history.scanned') : '',
+          job.simulated ? t('history.simulated') : '',
+        ].filter(Boolean).join(' · ')));
+        row.appendChild(left);
+        row.appendChild(makeEl('div', 'text-lg font-semibold tabular-nums', formatNumber(job.total)));
+        dayBlock.appendChild(row);
+      });
+      el.historyList.appendChild(dayBlock);
+    });
+  };
+
+  // Job details screen
+  const formatMinutes = (ms) => {
+    if (!Number.isFinite(ms)) return '—';
+    return ms < 60000 ? t('duration.seconds', { seconds: Math.round(ms / 1000) }) : formatDuration(ms);
+  };
+  const formatSeconds = (ms) => (Number.isFinite(ms) ? t('duration.seconds', { seconds: Math.round(ms / 1000) }) : '—');
+  let jobViewReturn = 'main';
+  let shownJob = null;
+
+  const renderJob = () => {
+    if (!shownJob || !el.jobStats) return;
+    const job = shownJob;
+    const stats = analyzeJob(job);
+    // Jobs archived before loads were recorded still have their event log
+    const loads = job.truckLoads || hauledLoads(job.events);
+    el.jobTitle.textContent = job.label || t('history.unlabelled');
+    el.jobSubtitle.textContent = [formatDay(job.startedAt), `${formatTime(job.startedAt)}–${formatTime(job.endedAt)}`, job.machine].filter(Boolean).join(' · ');
+    el.jobStats.textContent = '';
+    [
+      ['job.buckets', stats.backfilled ? formatPhases(stats.total, stats.backfilled) : formatNumber(stats.total)],
+      ...(job.requireDump ? [['job.noDump', formatNumber((job.suspects || []).filter((s) => s.reason === SUSPECT_REASONS.noDump).length)]] : []),
+      ['job.truckLoads', formatNumber(loads.length)],
+      ['job.bucketsPerLoad', loads.length ? loads.map((load) => formatNumber(load.buckets)).join(' · ') : '—'],
+      ['job.bucketsPerHour', formatNumber(stats.bucketsPerHour, 1)],
+      ['job.workingTime', formatMinutes(stats.activeMs)],
+      ['job.paused', formatMinutes(stats.pausedMs)],
+      ['job.medianCycle', formatSeconds(stats.medianCycleMs)],
+      ['job.averageCycle', formatSeconds(stats.meanCycleMs)],
+      ['job.fastestCycle', formatSeconds(stats.fastestCycleMs)],
+      ['job.slowestCycle', formatSeconds(stats.slowestCycleMs)],
+    ].forEach(([key, value]) => {
+      const item = makeEl('div');
+      item.appendChild(makeEl('dt', 'text-xs text-gray-600 dark:text-white/70', t(key)));
+      item.appendChild(makeEl('dd', 'font-semibold tabular-nums', value));
+      el.jobStats.appendChild(item);
+    });
+    const dark = document.documentElement.classList.contains('dark');
+    drawHourlyChart(el.jobChart, stats.hourly, {
+      color: '#22c55e',
+      textColor: dark ? 'rgba(255,255,255,0.7)' : '#4b5563',
+      labelFor: (h) => formatTime(h.start),
+      formatValue: (buckets) => formatNumber(buckets),
+    });
+    el.jobGaps.textContent = '';
+    if (stats.gaps.length === 0) {
+      el.jobGaps.appendChild(makeEl('li', 'text-gray-500 dark:text-white/60', t('job.noGaps')));
+    }
+    stats.gaps.forEach((gap) => {
+      const item = makeEl('li', 'flex justify-between py-0.5');
+      item.appendChild(makeEl('span', '', `${formatTime(gap.from)}–${formatTime(gap.to)}`));
+      item.appendChild(makeEl('span', 'font-medium', formatMinutes(gap.ms)));
+      el.jobGaps.appendChild(item);
+    });
+    // Only finished jobs are handed over
+    if (el.btnShowJobQr) el.btnShowJobQr.classList.toggle('hidden', jobViewReturn !== 'history');
+    if (el.jobQrBlock) el.jobQrBlock.classList.add('hidden');
+  };
+
+  const showJobQr = () => {
+    if (!shownJob) return;
+    try {
+      drawQr(el.jobQr, encodeQr(jobToCode(shownJob)));
+      el.jobQrBlock.classList.remove('hidden');
+    } catch (_) {
+      el.btnShowJobQr.textContent = t('job.qrTooLong');
+    }
+  };
+
+  // Scan screen: a job QR code from another phone goes into this phone's history
+  let importingScan = false;
+
+  const importScannedJob = async (text) => {
+    if (importingScan) return;
+    const job = codeToJob(text);
+    if (!job) {
+      el.scanStatus.textContent = t('scan.invalid');
+      return;
+    }
+    importingScan = true;
+    scanner.stop();
+    try {
+      const history = window.BucketCounter.history;
+      // Scanning the same code twice, or on the phone that made it, shows the job already there
+      const existing = (await history.listJobs()).find((j) =>
+        Math.round(j.startedAt / 1000) * 1000 === job.startedAt && j.total === job.total);
+      if (existing) {
+        showJob(existing, 'history');
+      } else {
+        job.id = await history.addJob(job);
+        showJob(job, 'history');
+      }
+    } catch (_) {
+      el.scanStatus.textContent = t('history.unavailable');
+    } finally {
+      importingScan = false;
+    }
+  };
+
+  const scanner = createScanner({ video: el.scanVideo, onCode: importScannedJob });
+
+  const startScan = async () => {
+    el.scanStatus.textContent = t('scan.point');
+    try {
+      await scanner.start();
+    } catch (_) {
+      el.scanStatus.textContent = t('scan.noCamera');
+    }
+  };
+
+  // Archived jobs come from history; the current job is a live snapshot
+  const showJob = (job, returnTo) => {
+    shownJob = job;
+    jobViewReturn = returnTo;
+    showView('job');
+  };
+
+  // One of 'main' | 'history' | 'settings' | 'job' | 'scan' is visible at a time
+  const showView = (name) => {
+    if (el.scanView) el.scanView.classList.toggle('hidden', name !== 'scan');
+    if (el.mainView) el.mainView.classList.toggle('hidden', name !== 'main');
+    if (el.historyView) el.historyView.classList.toggle('hidden', name !== 'history');
+    if (el.jobView) el.jobView.classList.toggle('hidden', name !== 'job');
+    if (el.settingsView) el.settingsView.classList.toggle('hidden', name !== 'settings');
+    if (name === 'history') renderHistory();
+    if (name === 'settings') renderSettings();
+    if (name === 'job') renderJob();
+    if (name === 'scan') startScan();
+    else scanner.stop();
+  };
+
+  // Settings screen
+  const formatStep = (step) => ({ 0.25: '1/4', 0.5: '1/2' }[step] || String(step));
+
+  const renderManualButtons = () => {
+    const step = formatStep(manualStep);
+    if (el.btnInc) {
+      el.btnInc.textContent = step;
+      el.btnInc.title = t('manual.add', { step: manualStep });
+    }
+    if (el.btnDec) {
+      el.btnDec.textContent = step;
+      el.btnDec.title = t('manual.subtract', { step: manualStep });
+    }
+    if (el.machineText) el.machineText.textContent = activeProfile().name;
+  };
+
+  const renderSettings = () => {
+    if (!el.profileList || !el.settingsForm) return;
+    el.profileList.textContent = '';
+    profileState.profiles.forEach((profile) => {
+      const button = makeEl('button', 'rounded border border-black/10 px-3 py-2 text-sm font-medium transition-colors active:scale-[0.98] aria-pressed:border-accent aria-pressed:bg-accent/15 dark:border-white/10', profile.name);
+      button.type = 'button';
+      button.setAttribute('aria-pressed', String(profile.id === profileState.activeId));
+      button.addEventListener('click', () => selectProfile(profile.id));
+      el.profileList.appendChild(button);
+    });
+    const profile = activeProfile();
+    const form = el.settingsForm.elements;
+    form.profileName.value = profile.name;
+    Object.keys(SETTINGS_LIMITS).forEach((key) => {
+      if (!form[key]) return;
+      form[key].min = String(SETTINGS_LIMITS[key].min);
+      form[key].max = String(SETTINGS_LIMITS[key].max);
+      form[key].value = String(profile.settings[key]);
+    });
+    if (form.requireDump) form.requireDump.checked = profile.settings.requireDump;
+    if (el.btnDeleteProfile) el.btnDeleteProfile.disabled = profileState.profiles.length < 2;
+    if (el.settingsSaved) el.settingsSaved.textContent = '';
+  };
+
+  const persistProfiles = () => {
+    saveProfiles(profileState.profiles, profileState.activeId);
+    applyActiveProfile();
+    renderManualButtons();
+  };
+
+  // One tap switches machines
+  const selectProfile = (id) => {
+    profileState.activeId = id;
+    persistProfiles();
+    renderSettings();
+  };
+
+  const saveSettingsForm = (e) => {
+    e.preventDefault();
+    const form = el.settingsForm.elements;
+    const profile = activeProfile();
+    const raw = {};
+    Object.keys(SETTINGS_LIMITS).forEach((key) => {
+      if (form[key]) raw[key] = form[key].value;
+    });
+    if (form.requireDump) raw.requireDump = form.requireDump.checked;
+    profile.name = form.profileName.value.trim() || profile.name;
+    profile.settings = sanitizeSettings(raw);
+    persistProfiles();
+    renderSettings();
+    if (el.settingsSaved) el.settingsSaved.textContent = t('settings.saved');
+  };
+
+  const addProfile = () => {
+    const profile = createProfile(t('settings.defaultProfileName', { number: profileState.profiles.length + 1 }), activeProfile().settings);
+    profileState.profiles.push(profile);
+    profileState.activeId = profile.id;
+    persistProfiles();
+    renderSettings();
+    if (el.settingsForm) el.settingsForm.elements.profileName.focus();
+  };
+
+  const deleteProfile = () => {
+    if (profileState.profiles.length < 2) return;
+    const profile = activeProfile();
+    if (!window.confirm(t('settings.deleteConfirm', { name: profile.name }))) return;
+    profileState.profiles = profileState.profiles.filter((p) => p.id !== profile.id);
+    profileState.activeId = profileState.profiles[0].id;
+    persistProfiles();
+    renderSettings();
+  };
+
+  // Dump threshold learning: the jolts felt on the next few counted swings set the
+  // active profile's threshold (see learnThreshold in dump.js)
+  const DUMP_LEARN_SAMPLES = 3;
+  let dumpSamples = null; // jolts collected while learning, else null
+  let dumpLearned = null; // the threshold learned last, shown until learning starts again
+
+  const renderDumpLearning = () => {
+    if (el.btnLearnDump) el.btnLearnDump.textContent = t(dumpSamples ? 'dump.stop' : 'dump.learn');
+    if (!el.dumpLearnText) return;
+    if (dumpSamples) {
+      el.dumpLearnText.textContent = dumpSamples.length
+        ? t('dump.progress', { done: dumpSamples.length, count: DUMP_LEARN_SAMPLES })
+        : t('dump.learning', { count: DUMP_LEARN_SAMPLES });
+    } else {
+      el.dumpLearnText.textContent = dumpLearned === null ? '' : t('dump.learned', { jolt: dumpLearned, count: DUMP_LEARN_SAMPLES });
+    }
+  };
+
+  const toggleDumpLearning = () => {
+    dumpSamples = dumpSamples ? null : [];
+    dumpLearned = null;
+    renderDumpLearning();
+  };
+
+  const addDumpSample = (detail) => {
+    if (!dumpSamples) return;
+    dumpSamples.push(detail.jolt);
+    if (dumpSamples.length < DUMP_LEARN_SAMPLES) {
+      renderDumpLearning();
+      return;
+    }
+    const threshold = learnThreshold(dumpSamples);
+    dumpSamples = null;
+    const profile = activeProfile();
+    profile.settings = sanitizeSettings({ ...profile.settings, dumpJoltMs2: Math.round(threshold * 10) / 10 });
+    persistProfiles();
+    renderSettings();
+    dumpLearned = profile.settings.dumpJoltMs2;
+    renderDumpLearning();
+  };
+
+  // Export; CSV dates and numbers follow the app's locale
+  const exportOptions = () => ({ locale: i18n.locale(), title: t('export.title') });
+
+  const exportCurrentJob = (format) => {
+    const exporter = window.BucketCounter && window.BucketCounter.exporter;
+    if (!exporter) return;
+    const job = buildJobRecord();
+    exporter.exportJobs([job], format, job.label || 'current-job', exportOptions()).catch(() => {});
+  };
+
+  const exportHistory = async (format) => {
+    const { history, exporter } = window.BucketCounter || {};
+    if (!history || !exporter) return;
+    try {
+      const jobs = await history.listJobs();
+      if (jobs.length === 0) return;
+      await exporter.exportJobs(jobs, format, 'history', exportOptions());
+    } catch (_) {
+      // History unavailable; nothing to export
+    }
+  };
+
+  // Sensor session recording and replay
+  const recorder = createRecorder();
+
+  const currentSettings = () => ({ ...detection });
+  const currentCalibration = () => {
+    const { graveHeading, pileHeading, truckHeading } = core.getCalibration();
+    return {
+      graveHeading: Number.isFinite(graveHeading) ? graveHeading : null,
+      pileHeading: Number.isFinite(pileHeading) ? pileHeading : null,
+      truckHeading: Number.isFinite(truckHeading) ? truckHeading : null,
+    };
+  };
+
+  const renderRecording = () => {
+    if (!el.btnRecord) return;
+    const recording = recorder.isRecording();
+    el.btnRecord.textContent = t(recording ? 'recording.stop' : 'recording.start');
+    el.btnRecord.setAttribute('aria-pressed', String(recording));
+    if (el.recordingIndicator) el.recordingIndicator.classList.toggle('hidden', !recording);
+  };
+
+  const toggleRecording = () => {
+    const exporter = window.BucketCounter.exporter;
+    if (recorder.isRecording()) {
+      const { truckCount, pileCount, backfillCount } = core.getState();
+      const session = recorder.stop({ truck: truckCount, pile: pileCount, backfill: backfillCount });
+      exporter.shareOrDownload([sessionToFile(session)], t('recording.shareTitle')).catch(() => {});
+    } else {
+      recorder.start({ settings: currentSettings(), calibration: currentCalibration(), mode: core.getState().mode });
+    }
+    renderRecording();
+  };
+
+  const readReplayNumber = (input) => {
+    if (!input || input.value.trim() === '') return undefined;
+    const n = Number(input.value);
+    return Number.isFinite(n) ? n : undefined;
+  };
+
+  const runReplay = async () => {
+    const file = el.replayFileInput && el.replayFileInput.files && el.replayFileInput.files[0];
+    if (!file) {
+      el.replayResult.textContent = t('replay.noFile');
+      return;
+    }
+    try {
+      const session = parseSession(await file.text());
+      const result = replay(session, {
+        toleranceDeg: readReplayNumber(el.replayTolerance),
+        graveDwellMs: readReplayNumber(el.replayDwell),
+        dumpDwellMs: readReplayNumber(el.replayDwell),
+      });
+      const minutes = Math.round((session.durationMs || 0) / 60000);
+      el.replayResult.textContent = [
+        t('replay.result', {
+          total: result.total,
+          truck: result.counts.truck,
+          pile: result.counts.pile,
+          tolerance: result.config.toleranceDeg,
+          graveDwell: result.config.graveDwellMs,
+          dumpDwell: result.config.dumpDwellMs,
+        }),
+        result.counts.backfill ? t('replay.backfill', { count: result.counts.backfill }) : '',
+        t('replay.suspects', { count: result.suspects.length }),
+        t('replay.tally', { recorded: result.recordedTotal, samples: session.samples.length, minutes }),
+        result.warnings.indexOf(REPLAY_WARNINGS.noMotion) >= 0 ? t('replay.noMotion') : '',
+      ].filter(Boolean).join(' ');
+    } catch (_) {
+      el.replayResult.textContent = t('replay.unreadable');
+    }
+  };
+
   // Wire up UI events
+  // Language: '' follows the phone
+  const renderLanguageSelect = () => {
+    if (!el.languageSelect) return;
+    el.languageSelect.textContent = '';
+    el.languageSelect.appendChild(new Option(t('settings.languageAuto'), ''));
+    Object.keys(i18n.LANGUAGES).forEach((code) => el.languageSelect.appendChild(new Option(i18n.LANGUAGES[code], code)));
+    el.languageSelect.value = i18n.getChoice() || '';
+  };
+
+  // translatePage has redone the static text; redraw what is rendered from here
+  const onLanguageChange = () => {
+    render();
+    renderEventLog();
+    renderSuspects();
+    renderManualButtons();
+    renderAutoCalibration();
+    renderSimulator();
+    renderRecording();
+    renderDumpLearning();
+    renderLanguageSelect();
+    if (el.resumeBlock && !el.resumeBlock.classList.contains('hidden')) renderResumePrompt();
+    if (el.historyView && !el.historyView.classList.contains('hidden')) renderHistory();
+    if (el.jobView && !el.jobView.classList.contains('hidden')) renderJob();
+  };
+
   const init = () => {
+    i18n.translatePage(document);
+    renderLanguageSelect();
+    if (el.languageSelect) el.languageSelect.addEventListener('change', () => i18n.setLanguage(el.languageSelect.value || null));
+    i18n.onChange(onLanguageChange);
+    core.subscribe(onCoreEvent);
+    // A truck that was already full before a reload does not alert again
+    const loads = core.getTruckLoads();
+    if (loads[loads.length - 1].buckets >= truckCapacity) truckFullAlerted = loads.length - 1;
     render();
+    renderEventLog();
+    renderSuspects();
+    renderGraveTarget();
+    initSimulator();
+    if (el.gravePreset) {
+      el.gravePreset.addEventListener('change', updateGraveTarget);
+      [el.graveLength, el.graveWidth, el.graveDepth].forEach((input) => input.addEventListener('input', updateGraveTarget));
+    }
+    if (el.btnReview) {
+      el.btnReview.addEventListener('click', () => el.reviewBlock && el.reviewBlock.classList.toggle('hidden'));
+    }
+    if (el.jobLabelInput) {
+      el.jobLabelInput.value = jobLabel;
+      el.jobLabelInput.addEventListener('input', () => {
+        jobLabel = el.jobLabelInput.value;
+        save(STORAGE_KEYS.jobLabel, jobLabel);
+      });
+    }
+    if (el.btnShowHistory) el.btnShowHistory.addEventListener('click', () => showView('history'));
+    if (el.btnCloseHistory) el.btnCloseHistory.addEventListener('click', () => showView('main'));
+    if (el.btnShowSettings) el.btnShowSettings.addEventListener('click', () => showView('settings'));
+    if (el.btnShowJobDetails) el.btnShowJobDetails.addEventListener('click', () => showJob(buildJobRecord(), 'main'));
+    if (el.btnCloseJob) el.btnCloseJob.addEventListener('click', () => showView(jobViewReturn));
+    if (el.btnShowJobQr) el.btnShowJobQr.addEventListener('click', showJobQr);
+    if (el.btnScanJob) el.btnScanJob.addEventListener('click', () => showView('scan'));
+    if (el.btnCloseScan) el.btnCloseScan.addEventListener('click', () => showView('history'));
+    if (el.btnCloseSettings) el.btnCloseSettings.addEventListener('click', () => showView('main'));
+    if (el.settingsForm) el.settingsForm.addEventListener('submit', saveSettingsForm);
+    if (el.btnNewProfile) el.btnNewProfile.addEventListener('click', addProfile);
+    if (el.btnDeleteProfile) el.btnDeleteProfile.addEventListener('click', deleteProfile);
+    if (el.btnLearnDump) el.btnLearnDump.addEventListener('click', toggleDumpLearning);
+    renderDumpLearning();
+    renderManualButtons();
+    if (el.autoCalibrateToggle) {
+      el.autoCalibrateToggle.checked = autoCalibrateEnabled;
+      el.autoCalibrateToggle.addEventListener('change', () => setAutoCalibrateEnabled(el.autoCalibrateToggle.checked));
+    }
+    const channels = feedback.getChannels();
+    el.feedbackToggles.forEach((input) => {
+      const channel = input.dataset.feedbackChannel;
+      input.checked = Boolean(channels[channel]);
+      input.addEventListener('change', () => feedback.setChannel(channel, input.checked));
+    });
+    if (el.btnTestFeedback) el.btnTestFeedback.addEventListener('click', () => feedback.counted(totalCount()));
+    if (el.btnAutoCalConfirm) el.btnAutoCalConfirm.addEventListener('click', confirmAutoCalibration);
+    if (el.btnAutoCalSwap) el.btnAutoCalSwap.addEventListener('click', swapAutoCalibration);
+    if (el.btnAutoCalDismiss) el.btnAutoCalDismiss.addEventListener('click', dismissAutoCalibration);
+    if (el.btnExportJobCsv) el.btnExportJobCsv.addEventListener('click', () => exportCurrentJob('csv'));
+    if (el.btnExportJobJson) el.btnExportJobJson.addEventListener('click', () => exportCurrentJob('json'));
+    if (el.btnExportHistoryCsv) el.btnExportHistoryCsv.addEventListener('click', () => exportHistory('csv'));
+    if (el.btnExportHistoryJson) el.btnExportHistoryJson.addEventListener('click', () => exportHistory('json'));
+    if (el.btnRecord) el.btnRecord.addEventListener('click', toggleRecording);
+    if (el.btnRunReplay) el.btnRunReplay.addEventListener('click', runReplay);
+    if (el.replayTolerance) el.replayTolerance.placeholder = String(detection.toleranceDeg);
+    if (el.replayDwell) el.replayDwell.placeholder = String(detection.dumpDwellMs);
+    renderRecording();
+    // Resume must come from a tap so iOS shows the sensor permission prompt again
+    if (el.btnResumeJob) {
+      el.btnResumeJob.addEventListener('click', () => {
+        feedback.unlock();
+        start();
+      });
+    }
+    if (el.btnStartCleanJob) el.btnStartCleanJob.addEventListener('click', newGrave);
+    if (el.btnApplyUpdate) el.btnApplyUpdate.addEventListener('click', () => updater.apply());
+    updater.register('./sw.js');
+    offerResume();
+    // Saved data that failed validation was reset; say so once
+    const repairs = storage.getRepairs();
+    if (el.storageNotice && repairs.length) {
+      el.storageNotice.textContent = t('storage.repaired', { fields: repairs.join(', ') });
+      el.storageNotice.classList.remove('hidden');
+      el.storageNotice.addEventListener('click', () => el.storageNotice.classList.add('hidden'));
+    }
     // Permissions recovery actions
     if (el.btnRetryPermissions) {
       el.btnRetryPermissions.addEventListener('click', async () => {
@@ -404,19 +1705,18 @@
         const granted = await ensureSensorPermissions();
         permissionsDenied = !granted;
         if (granted) {
-          el.statusText.textContent = 'Permissions granted. You can Start now or continue.';
+          el.statusText.textContent = t('status.permissionGranted');
           render();
         } else {
-          el.statusText.textContent = 'Still denied. You may need to reload and allow access.';
+          el.statusText.textContent = t('status.stillDenied');
           render();
         }
       });
     }
     if (el.btnReloadApp) {
       el.btnReloadApp.addEventListener('click', () => {
-        // For PWAs, ensure we bypass SW cache where possible
-        try { navigator.serviceWorker?.controller?.postMessage('skipWaiting'); } catch (_) {}
-        window.location.reload();
+        // Take a waiting update along if no job is in progress
+        if (!updater.apply()) window.location.reload();
       });
     }
 
@@ -424,13 +1724,21 @@
 
     if (el.btnInc) el.btnInc.addEventListener('click', (e) => { e.preventDefault(); manualInc(); });
     if (el.btnDec) el.btnDec.addEventListener('click', (e) => { e.preventDefault(); manualDec(); });
+    if (el.btnUndo) el.btnUndo.addEventListener('click', (e) => { e.preventDefault(); undoLast(); });
     if (el.btnNewGrave) el.btnNewGrave.addEventListener('click', newGrave);
     if (el.btnResetCalibration) el.btnResetCalibration.addEventListener('click', resetCalibration);
 
     el.btnSetGrave.addEventListener('click', setGrave);
     el.btnSetTruck.addEventListener('click', setTruck);
+    if (el.btnSetPile) el.btnSetPile.addEventListener('click', setPile);
+    if (el.btnNewTruck) el.btnNewTruck.addEventListener('click', () => core.newTruck());
+    if (el.btnModeDig) el.btnModeDig.addEventListener('click', () => core.setMode(MODES.dig));
+    if (el.btnModeBackfill) el.btnModeBackfill.addEventListener('click', () => core.setMode(MODES.backfill));
+    if (el.btnSelectTruck) el.btnSelectTruck.addEventListener('click', () => selectTarget('truck'));
+    if (el.btnSelectPile) el.btnSelectPile.addEventListener('click', () => selectTarget('pile'));
 
     el.btnToggle.addEventListener('click', () => {
+      feedback.unlock(); // audio and speech need a user gesture on iOS
       if (isRunning) {
         stop();
       } else {
@@ -447,9 +1755,14 @@
       if (document.visibilityState === 'visible' && isRunning) {
         requestScreenWakeLock();
       }
+      // The tab may be killed while hidden; note when it was last alive
+      if (document.visibilityState === 'hidden' && hasActivated) saveSession();
     });
     // Release on navigation away
-    window.addEventListener('pagehide', releaseScreenWakeLock);
+    window.addEventListener('pagehide', () => {
+      if (hasActivated) saveSession();
+      releaseScreenWakeLock();
+    });
     window.addEventListener('beforeunload', releaseScreenWakeLock);
   };
 
@@ -0,0 +1,148 @@
+/*
+  Bucket Counter – Auto-calibration
+  - Splits the heading stream into "still" periods (the cab not swinging)
+  - After a few swings, proposes the two headings with the most dwell time
+    as grave (longest dwell: digging) and truck (dumping)
+  - Once calibrated, nudges a dump heading towards where the cab actually
+    stops, so a repositioned truck is followed slowly
+*/
+
+(function () {
+  'use strict';
+
+  const { clampDeg, signedDelta, smallestAngleDelta } = self.BucketCounter.angles;
+
+  const AUTOCAL_DEFAULTS = {
+    binDeg: 5, // histogram resolution
+    stillDegPerSec: 20, // slower than this counts as dwelling
+    minStillMs: 400, // shorter pauses are ignored
+    minSwings: 3, // grave -> truck -> grave cycles before proposing
+    minSeparationDeg: 45, // grave and truck must be at least this far apart
+    maxPeriods: 200, // still periods kept for swing counting
+    adaptRate: 0.1, // fraction of the offset applied per dwell when adapting
+    maxStepMs: 500, // cap the time credited to one sample
+  };
+
+  const DEG = Math.PI / 180;
+
+  const toHeading = (sin, cos) => clampDeg(Math.atan2(sin, cos) / DEG);
+
+  const createAutoCalibrator = (options) => {
+    const config = Object.assign({}, AUTOCAL_DEFAULTS, options);
+    const binCount = Math.round(360 / config.binDeg);
+    let bins = new Array(binCount).fill(0);
+    let periods = [];
+    let run = null; // current still run: { start, last, sin, cos }
+    let lastHeading = NaN;
+    let lastTs = 0;
+
+    const reset = () => {
+      bins = new Array(binCount).fill(0);
+      periods = [];
+      run = null;
+      lastHeading = NaN;
+      lastTs = 0;
+    };
+
+    const finishRun = () => {
+      const finished = run;
+      run = null;
+      if (!finished || finished.last - finished.start < config.minStillMs) return null;
+      const period = {
+        heading: toHeading(finished.sin, finished.cos),
+        durationMs: finished.last - finished.start,
+      };
+      periods.push(period);
+      if (periods.length > config.maxPeriods) periods.shift();
+      bins[Math.floor(period.heading / config.binDeg) % binCount] += period.durationMs;
+      return period;
+    };
+
+    // Feed a heading sample; returns a completed still period ({ heading, durationMs }) or null
+    const addSample = (headingDeg, now) => {
+      if (!Number.isFinite(headingDeg)) return null;
+      let completed = null;
+      if (Number.isFinite(lastHeading) && now > lastTs) {
+        const dtMs = Math.min(now - lastTs, config.maxStepMs);
+        const speed = smallestAngleDelta(headingDeg, lastHeading) / (dtMs / 1000);
+        if (speed <= config.stillDegPerSec) {
+          if (!run) run = { start: lastTs, last: lastTs, sin: 0, cos: 0 };
+          run.last = now;
+          run.sin += Math.sin(headingDeg * DEG) * dtMs;
+          run.cos += Math.cos(headingDeg * DEG) * dtMs;
+        } else if (run) {
+          completed = finishRun();
+        }
+      }
+      lastHeading = headingDeg;
+      lastTs = now;
+      return completed;
+    };
+
+    // Duration-weighted mean heading of the still periods near a bin
+    const refinePeak = (binIndex) => {
+      const center = (binIndex + 0.5) * config.binDeg;
+      let sin = 0;
+      let cos = 0;
+      periods.forEach((p) => {
+        if (smallestAngleDelta(p.heading, center) <= config.binDeg * 2) {
+          sin += Math.sin(p.heading * DEG) * p.durationMs;
+          cos += Math.cos(p.heading * DEG) * p.durationMs;
+        }
+      });
+      return sin === 0 && cos === 0 ? center : toHeading(sin, cos);
+    };
+
+    /*
+      { graveHeading, truckHeading, swings } once two well separated dwell peaks
+      have been alternated between at least minSwings times, otherwise null.
+    */
+    const propose = () => {
+      const smoothed = bins.map((_, i) => bins[(i - 1 + binCount) % binCount] + bins[i] + bins[(i + 1) % binCount]);
+      let first = -1;
+      smoothed.forEach((v, i) => { if (v > 0 && (first < 0 || v > smoothed[first])) first = i; });
+      if (first < 0) return null;
+      let second = -1;
+      smoothed.forEach((v, i) => {
+        const apart = smallestAngleDelta(i * config.binDeg, first * config.binDeg) >= config.minSeparationDeg;
+        if (apart && v > 0 && (second < 0 || v > smoothed[second])) second = i;
+      });
+      if (second < 0) return null;
+
+      const graveHeading = refinePeak(first);
+      const truckHeading = refinePeak(second);
+      const radius = config.minSeparationDeg / 2;
+      // Count alternations between the two peaks in the order the cab visited them
+      let last = null;
+      let transitions = 0;
+      periods.forEach((p) => {
+        let at = null;
+        if (smallestAngleDelta(p.heading, graveHeading) <= radius) at = 'grave';
+        else if (smallestAngleDelta(p.heading, truckHeading) <= radius) at = 'truck';
+        if (!at) return;
+        if (last && at !== last) transitions += 1;
+        last = at;
+      });
+      const swings = Math.floor((transitions + 1) / 2);
+      if (swings < config.minSwings) return null;
+      return { graveHeading, truckHeading, swings };
+    };
+
+    return { addSample, propose, reset };
+  };
+
+  /*
+    Move a calibrated heading a little towards a still period that ended near it.
+    Returns the new heading, or the unchanged one when the period is outside windowDeg.
+  */
+  const adaptHeading = (currentDeg, periodHeadingDeg, windowDeg, rate) => {
+    if (!Number.isFinite(currentDeg)) return currentDeg;
+    const offset = signedDelta(periodHeadingDeg, currentDeg);
+    if (Math.abs(offset) > windowDeg) return currentDeg;
+    const r = typeof rate === 'number' ? rate : AUTOCAL_DEFAULTS.adaptRate;
+    return clampDeg(currentDeg + offset * r);
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.autocal = { createAutoCalibrator, adaptHeading, AUTOCAL_DEFAULTS };
+})();
@@ -0,0 +1,380 @@
+/*
+  Bucket Counter – Core
+  - Everything both front ends share, with no DOM access: heading from the
+    orientation/motion events, calibration, swing detection, the truck, pile and
+    backfill counts with their event log, and persistence through storage.js
+  - Digging counts grave -> truck/pile swings; backfill mode counts truck/pile -> grave
+    swings into their own count (the 'backfill' target)
+  - Truck loads are split by 'newTruck' events in the same log, so undo reopens a load
+  - Sensor health (see health.js) is checked on every sample; swings detected while
+    it is not 'ok' are marked unreliable on their count event and result, and detection
+    starts afresh when a stalled stream comes back
+  - With requireDump set, a swing only counts once the accelerometer felt a dump at the
+    dumping end (see dump.js); one that never does becomes a 'no-dump' suspect and does
+    not hold off the next swing
+  - The UI passes in sensor events and taps and re-renders on the core's events:
+    'heading', 'change' (a count changed), 'count', 'suspect', 'dump' (the jolt felt at the
+    end of a counted swing), 'calibration', 'mode', 'reset'
+*/
+
+(function () {
+  'use strict';
+
+  const { createHeadingFusion, orientationToHeading } = self.BucketCounter.heading;
+  const { createSwingDetector, MODES, SUSPECT_REASONS } = self.BucketCounter.detector;
+  const { createHealthMonitor, HEALTH_DEFAULTS, STATUS: HEALTH_STATUS } = self.BucketCounter.health;
+  const { createDumpSensor, DUMP_DEFAULTS } = self.BucketCounter.dump;
+
+  const TARGETS = ['grave', 'truck', 'pile'];
+  const COUNT_FIELDS = { truck: 'truckCount', pile: 'pileCount', backfill: 'backfillCount' };
+  const HEADING_FIELDS = { grave: 'graveHeading', truck: 'truckHeading', pile: 'dirtPileHeading' };
+
+  /*
+    Truck loads in an event log: [{ startedAt, endedAt, buckets }], oldest first.
+    The last one is the truck being filled (endedAt null); startedAt is its first
+    bucket, or null while it is empty.
+  */
+  const truckLoads = (events) => {
+    const loads = [{ startedAt: null, endedAt: null, buckets: 0 }];
+    (events || []).forEach((e) => {
+      const current = loads[loads.length - 1];
+      if (e.source === 'newTruck') {
+        current.endedAt = e.ts;
+        loads.push({ startedAt: null, endedAt: null, buckets: 0 });
+      } else if (e.target === 'truck') {
+        if (current.startedAt === null && e.delta > 0) current.startedAt = e.ts;
+        current.buckets = Math.max(0, current.buckets + e.delta);
+      }
+    });
+    return loads;
+  };
+
+  /*
+    options: { storage, now }
+    storage defaults to the shared storage.js record; now() to Date.now.
+  */
+  const createCore = (options) => {
+    const store = (options && options.storage) || self.BucketCounter.storage;
+    const now = (options && options.now) || (() => Date.now());
+
+    const counts = {};
+    Object.keys(COUNT_FIELDS).forEach((target) => { counts[target] = store.get(COUNT_FIELDS[target]); });
+    let mode = store.get('job.mode');
+    const calibration = {};
+    TARGETS.forEach((name) => { calibration[name] = store.get(HEADING_FIELDS[name]); });
+    // Every change to the counts for the current grave, oldest first
+    let events = store.get('job.events');
+
+    let heading = NaN;
+    let headingReady = false;
+    let lastHeadingTs = 0;
+    let mount = null; // detected phone mount (see orientationToHeading)
+    let running = false;
+    let detectionConfig = {};
+
+    const fusion = createHeadingFusion();
+    const detector = createSwingDetector();
+    const health = createHealthMonitor();
+    const dumps = createDumpSensor();
+    // A counted swing watched for its dump until the cab leaves the dumping end or
+    // waitMs passes: { result, zone, since, until, counted }
+    let dumpWindow = null;
+    const listeners = [];
+
+    const subscribe = (listener) => {
+      listeners.push(listener);
+      return () => {
+        const i = listeners.indexOf(listener);
+        if (i >= 0) listeners.splice(i, 1);
+      };
+    };
+
+    const emit = (type, detail) => listeners.slice().forEach((listener) => listener(type, detail));
+
+    // Calibration
+
+    // Grave plus at least one dump target (truck or dirt pile)
+    const isCalibrated = () =>
+      Number.isFinite(calibration.grave) && (Number.isFinite(calibration.truck) || Number.isFinite(calibration.pile));
+
+    // name: 'grave' | 'truck' | 'pile'; NaN clears it
+    const setTarget = (name, headingDeg) => {
+      if (TARGETS.indexOf(name) < 0) return;
+      calibration[name] = Number.isFinite(headingDeg) ? headingDeg : NaN;
+      store.set(HEADING_FIELDS[name], calibration[name]);
+      emit('calibration', getCalibration());
+    };
+
+    const getCalibration = () => ({
+      graveHeading: calibration.grave,
+      truckHeading: calibration.truck,
+      pileHeading: calibration.pile,
+    });
+
+    const resetCalibration = () => {
+      TARGETS.forEach((name) => { calibration[name] = NaN; });
+      store.setMany({ graveHeading: NaN, truckHeading: NaN, dirtPileHeading: NaN });
+      emit('calibration', getCalibration());
+    };
+
+    // Counter
+
+    // Buckets dug; backfilled buckets are counted separately
+    const totalCount = () => counts.truck + counts.pile;
+
+    // 'truck' | 'pile' | 'backfill'; anything else counts as truck
+    const countTarget = (target) => (COUNT_FIELDS[target] ? target : 'truck');
+
+    // Apply a delta to one count, never going below zero.
+    // Returns the delta actually applied after clamping.
+    const applyDelta = (target, delta) => {
+      const before = counts[target];
+      counts[target] = Math.max(0, before + delta);
+      store.set(COUNT_FIELDS[target], counts[target]);
+      return counts[target] - before;
+    };
+
+    // Change a count and record it in the event log so it can be undone exactly.
+    // extra: optional fields stored on the event. Returns the event, or null when nothing changed.
+    const changeCount = (target, delta, source, extra) => {
+      const applied = applyDelta(countTarget(target), delta);
+      if (applied === 0) return null;
+      const event = {
+        ts: now(),
+        source,
+        target: countTarget(target),
+        delta: applied,
+        headingDeg: headingReady ? Math.round(heading * 10) / 10 : null,
+        ...extra,
+      };
+      events.push(event);
+      store.set('job.events', events);
+      emit('change', event);
+      return event;
+    };
+
+    const getTruckLoads = () => truckLoads(events);
+
+    // Close the truck being filled so the next bucket starts a new load. Logged with
+    // delta 0 so undo reopens it. Returns the event, or null when the truck is empty.
+    const newTruck = () => {
+      const loads = truckLoads(events);
+      if (loads[loads.length - 1].buckets <= 0) return null;
+      const event = { ts: now(), source: 'newTruck', target: 'truck', delta: 0, headingDeg: null };
+      events.push(event);
+      store.set('job.events', events);
+      emit('change', event);
+      return event;
+    };
+
+    // Revert the most recent event, whatever its source; returns it, or null
+    const undo = () => {
+      const last = events.pop();
+      if (!last) return null;
+      applyDelta(countTarget(last.target), -last.delta);
+      store.set('job.events', events);
+      emit('change', { ts: now(), source: 'undo', target: last.target, delta: -last.delta, undone: last });
+      return last;
+    };
+
+    // Heading and detection
+
+    // Heading from one orientation event without running detection (e.g. to calibrate)
+    const sampleHeading = (event, screenAngleDeg) => {
+      const result = orientationToHeading(event, screenAngleDeg, mount);
+      mount = result.mount;
+      fusion.onOrientation(event, result.heading, now());
+      return fusion.getHeading();
+    };
+
+    const countSwing = (result) => {
+      const extra = {};
+      if (mode === MODES.backfill) extra.from = result.from;
+      if (result.unreliable) extra.unreliable = true;
+      changeCount(result.target, 1, 'auto', extra);
+      emit('count', result);
+    };
+
+    // Count a waiting swing as soon as its dump is felt. When the window closes, report
+    // the jolt, and a swing that never counted as a 'no-dump' suspect.
+    const watchDump = (ts) => {
+      const watched = dumpWindow;
+      if (!watched) return;
+      const jolt = dumps.peakSince(watched.since);
+      const felt = jolt >= detectionConfig.dumpJoltMs2;
+      if (felt && !watched.counted) {
+        watched.counted = true;
+        countSwing(watched.result);
+      }
+      if (ts < watched.until && detector.getState().zone === watched.zone) return;
+      dumpWindow = null;
+      emit('dump', { target: watched.result.target, jolt, felt, ts });
+      if (watched.counted) return;
+      detector.retractCount();
+      const missed = { type: 'suspect', target: watched.result.target, reason: SUSPECT_REASONS.noDump, ts };
+      if (watched.result.unreliable) missed.unreliable = true;
+      emit('suspect', missed);
+    };
+
+    /*
+      Feed an orientation event. Emits 'heading', then 'count' or 'suspect' when the
+      detector reports one; returns the detector result or null. A count that waits
+      for its dump is emitted once the dump is felt.
+    */
+    const onOrientation = (event, screenAngleDeg) => {
+      const fused = sampleHeading(event, screenAngleDeg);
+      if (!Number.isFinite(fused)) return null;
+      return onHeading(fused, event);
+    };
+
+    // The rest of onOrientation for a heading that is already known, e.g. one recorded
+    // in a session (see recorder.js); event is the orientation event it came from
+    const onHeading = (headingDeg, event) => {
+      const ts = now();
+      // Where the cab went while the stream was stalled is unknown, so a swing that
+      // spans the gap is not finished off: the detector waits for the next full one
+      if (lastHeadingTs && ts - lastHeadingTs > HEALTH_DEFAULTS.staleMs) detector.reset();
+      heading = headingDeg;
+      headingReady = true;
+      lastHeadingTs = ts;
+      health.addSample(event, heading, ts);
+      emit('heading', { heading, ts, event });
+      if (!running || !isCalibrated()) return null;
+      const detected = detector.update(heading, ts, { ...detectionConfig, ...getCalibration(), mode });
+      watchDump(ts);
+      if (!detected) return null;
+      // Everything dumped at the grave while backfilling goes to the backfill count
+      const result = mode === MODES.backfill ? { ...detected, target: 'backfill' } : { ...detected };
+      if (health.check(ts).status !== HEALTH_STATUS.ok) result.unreliable = true;
+      if (result.type !== 'count') {
+        emit(result.type, result);
+        return result;
+      }
+      // Without accelerometer data there is nothing to wait for
+      const watch = dumps.hasData(ts);
+      const waitForDump = watch && Boolean(detectionConfig.requireDump);
+      if (watch) {
+        dumpWindow = { result, zone: detected.target, since: detected.arrivedAt, until: ts + DUMP_DEFAULTS.waitMs, counted: !waitForDump };
+      }
+      if (waitForDump) watchDump(ts);
+      else countSwing(result);
+      return result;
+    };
+
+    // Gyro samples advance the fused heading and accelerometer samples feed the dump
+    // signature; detection runs on orientation events
+    const onMotion = (event) => {
+      const ts = now();
+      fusion.onMotion(event, ts);
+      dumps.onMotion(event, ts);
+      watchDump(ts);
+    };
+
+    // Sensor health now (see health.js)
+    const getHealth = () => health.check(now());
+
+    // The browser asked for a figure 8 ('compassneedscalibration')
+    const flagCompassCalibration = () => health.flagCompass(now());
+
+    // Detector tuning, e.g. the active machine profile's settings
+    const setDetectionConfig = (config) => {
+      detectionConfig = { ...config };
+    };
+
+    const setRunning = (value) => {
+      running = Boolean(value);
+      if (running) {
+        headingReady = false; // wait for a fresh heading after (re)starting
+        health.reset();
+      }
+    };
+
+    // Start the detector afresh, e.g. after the targets were replaced
+    const resetDetection = () => detector.reset();
+
+    // 'dig' or 'backfill' for the rest of this job; emits 'mode'
+    const setMode = (next) => {
+      const value = next === MODES.backfill ? MODES.backfill : MODES.dig;
+      if (value === mode) return;
+      mode = value;
+      store.set('job.mode', mode);
+      detector.reset();
+      emit('mode', mode);
+    };
+
+    // Clear counts, log and calibration for the next grave
+    const resetJob = () => {
+      running = false;
+      headingReady = false;
+      mount = null;
+      fusion.reset();
+      detector.reset();
+      health.reset();
+      dumps.reset();
+      dumpWindow = null;
+      Object.keys(counts).forEach((target) => { counts[target] = 0; });
+      mode = MODES.dig;
+      events = [];
+      TARGETS.forEach((name) => { calibration[name] = NaN; });
+      store.setMany({
+        truckCount: 0,
+        pileCount: 0,
+        backfillCount: 0,
+        'job.mode': mode,
+        'job.events': events,
+        graveHeading: NaN,
+        truckHeading: NaN,
+        dirtPileHeading: NaN,
+      });
+      emit('reset');
+    };
+
+    const getState = () => ({
+      running,
+      heading,
+      headingReady,
+      lastHeadingTs,
+      mount,
+      headingMode: fusion.getMode(),
+      swingState: detector.getState().state,
+      mode,
+      truckCount: counts.truck,
+      pileCount: counts.pile,
+      backfillCount: counts.backfill,
+      total: totalCount(),
+      ...getCalibration(),
+    });
+
+    // The live event log; treat it as read-only
+    const getEvents = () => events;
+
+    return {
+      subscribe,
+      onOrientation,
+      onHeading,
+      onMotion,
+      sampleHeading,
+      setDetectionConfig,
+      setRunning,
+      resetDetection,
+      setMode,
+      isCalibrated,
+      setTarget,
+      getCalibration,
+      resetCalibration,
+      getHealth,
+      flagCompassCalibration,
+      changeCount,
+      undo,
+      newTruck,
+      getTruckLoads,
+      totalCount,
+      getEvents,
+      getState,
+      resetJob,
+    };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.core = { createCore, truckLoads };
+})();
@@ -0,0 +1,221 @@
+/*
+  Bucket Counter – Swing detector
+  - Explicit state machine: at grave -> swinging out -> at truck/pile -> returning
+  - Backfill mode runs the same swing in reverse: loaded at the truck or pile,
+    dumped at the grave
+  - Each target has an entry tolerance and a wider exit tolerance (hysteresis),
+    and the heading must dwell inside a zone before it counts as "at" it
+  - A dump is counted once per return to the grave, so no timing window is needed
+  - Borderline swings (partial, overshoot, too soon, no return to the grave) are
+    reported as suspects for the operator to accept or reject, never silently
+  - No DOM or clock access: callers pass the heading and timestamp, so live
+    detection and session replay (see recorder.js) run the same code
+*/
+
+(function () {
+  'use strict';
+
+  const { signedDelta, smallestAngleDelta } = self.BucketCounter.angles;
+
+  // atGrave / atTarget are the loading and dumping ends; in backfill mode the bucket
+  // is loaded at the truck or pile and the grave is the dumping end
+  const STATES = {
+    idle: 'idle', // no zone reached yet
+    atGrave: 'atGrave',
+    swingingOut: 'swingingOut',
+    atTarget: 'atTarget',
+    returning: 'returning',
+  };
+
+  const MODES = { dig: 'dig', backfill: 'backfill' };
+
+  const DEFAULT_CONFIG = {
+    toleranceDeg: 15, // enter a zone within this many degrees of its heading
+    hysteresisDeg: 5, // ...and only leave it beyond toleranceDeg + hysteresisDeg
+    graveDwellMs: 400, // time at the loading end (the grave when digging) before a bucket is considered loaded
+    dumpDwellMs: 300, // time at the dumping end (truck/pile when digging) before the dump is counted
+    minCycleMs: 2500, // a count sooner than this after the previous one is suspect
+    partialMarginDeg: 15, // a swing ending this far outside a dump zone is a partial swing
+  };
+
+  const SUSPECT_REASONS = {
+    partial: 'partial', // swung towards a dump target but stopped short
+    overshoot: 'overshoot', // swung through a dump target and beyond without stopping
+    shortDwell: 'short-dwell', // touched a dump target and came back without stopping
+    tooSoon: 'too-soon', // a full swing inside minCycleMs of the previous count
+    noGraveReturn: 'no-grave-return', // back at the dumping end without loading first
+    noDump: 'no-dump', // a full swing, but no dump was felt at the end (reported by core.js)
+  };
+
+  const DUMP_TARGETS = ['truck', 'pile'];
+
+  // Zones a bucket is loaded at and dumped at in each mode
+  const ROLES = {
+    [MODES.dig]: { load: ['grave'], dump: DUMP_TARGETS },
+    [MODES.backfill]: { load: DUMP_TARGETS, dump: ['grave'] },
+  };
+
+  /*
+    config: { graveHeading, truckHeading, pileHeading, toleranceDeg, hysteresisDeg, graveDwellMs, dumpDwellMs, mode }
+    Headings may be NaN when a target is not calibrated; missing tuning values use DEFAULT_CONFIG.
+    mode is 'dig' (default) or 'backfill'; reset() the detector when it changes.
+  */
+  const createSwingDetector = () => {
+    let state = STATES.idle;
+    let zone = null; // 'grave' | 'truck' | 'pile' | null
+    let zoneSince = 0;
+    let armed = false; // true once a bucket was loaded and not yet dumped
+    let loadedAt = null; // zone the bucket was loaded at
+    let lastCountTs = -Infinity;
+    let previousCountTs = -Infinity; // lastCountTs before the latest count, for retractCount
+    // Trip away from the loading end with a loaded bucket: { closest: { [dump zone]: deg }, touched }
+    let excursion = null;
+
+    const reset = () => {
+      state = STATES.idle;
+      zone = null;
+      zoneSince = 0;
+      armed = false;
+      loadedAt = null;
+      lastCountTs = -Infinity;
+      previousCountTs = -Infinity;
+      excursion = null;
+    };
+
+    // The latest count turned out not to be a dump (e.g. none was felt, see core.js):
+    // minCycleMs runs from the count before it again, so the next real swing is not too soon
+    const retractCount = () => {
+      lastCountTs = previousCountTs;
+    };
+
+    const getState = () => ({ state, zone, armed });
+
+    const headingFor = (name, config) => {
+      if (name === 'grave') return config.graveHeading;
+      if (name === 'truck') return config.truckHeading;
+      return config.pileHeading;
+    };
+
+    // Zone the heading is in, keeping the current zone until it leaves the wider exit band
+    const resolveZone = (headingDeg, config) => {
+      const distance = (name) => {
+        const target = headingFor(name, config);
+        return Number.isFinite(target) ? smallestAngleDelta(headingDeg, target) : Infinity;
+      };
+      if (zone && distance(zone) <= config.toleranceDeg + config.hysteresisDeg) return zone;
+      let nearest = null;
+      let nearestDistance = Infinity;
+      ['grave'].concat(DUMP_TARGETS).forEach((name) => {
+        const d = distance(name);
+        if (d <= config.toleranceDeg && d < nearestDistance) {
+          nearest = name;
+          nearestDistance = d;
+        }
+      });
+      return nearest;
+    };
+
+    const suspect = (target, reason, now) => ({ type: 'suspect', target, reason, ts: now });
+
+    // Track how close a loaded swing got to each dump zone
+    const trackExcursion = (headingDeg, previousZone, config, roles) => {
+      if (!excursion) {
+        excursion = { closest: {}, touched: null };
+        roles.dump.forEach((name) => { excursion.closest[name] = Infinity; });
+      }
+      roles.dump.forEach((name) => {
+        const target = headingFor(name, config);
+        if (Number.isFinite(target)) {
+          excursion.closest[name] = Math.min(excursion.closest[name], smallestAngleDelta(headingDeg, target));
+        }
+      });
+      // Left a dump zone before dwelling: note which side it was left on.
+      // An overshoot passes back through the zone on the way home; keep the overshoot.
+      if (zone === null && roles.dump.indexOf(previousZone) >= 0 && !(excursion.touched && excursion.touched.beyond)) {
+        const target = headingFor(previousZone, config);
+        const outward = signedDelta(target, headingFor(loadedAt, config)) >= 0 ? 1 : -1;
+        const beyond = signedDelta(headingDeg, target) * outward > 0;
+        excursion.touched = { target: previousZone, beyond };
+      }
+    };
+
+    // Back at the loading end without a dump: decide whether the trip looked like a missed bucket
+    const judgeExcursion = (config, roles, now) => {
+      const trip = excursion;
+      excursion = null;
+      if (!trip) return null;
+      if (trip.touched) {
+        return suspect(trip.touched.target, trip.touched.beyond ? SUSPECT_REASONS.overshoot : SUSPECT_REASONS.shortDwell, now);
+      }
+      let nearest = null;
+      roles.dump.forEach((name) => {
+        if (trip.closest[name] <= config.toleranceDeg + config.partialMarginDeg &&
+          (!nearest || trip.closest[name] < trip.closest[nearest])) {
+          nearest = name;
+        }
+      });
+      return nearest ? suspect(nearest, SUSPECT_REASONS.partial, now) : null;
+    };
+
+    /*
+      Returns { type: 'count', target, from, ts, arrivedAt } when a dump should be counted
+      (target is where it was dumped, from where it was loaded, arrivedAt when the cab got there),
+      { type: 'suspect', target, reason, ts } for a borderline swing (see SUSPECT_REASONS),
+      otherwise null.
+    */
+    const update = (headingDeg, now, rawConfig) => {
+      const config = Object.assign({}, DEFAULT_CONFIG, rawConfig);
+      if (!Number.isFinite(config.graveHeading)) return null;
+      if (!Number.isFinite(config.truckHeading) && !Number.isFinite(config.pileHeading)) return null;
+      const roles = ROLES[config.mode] || ROLES[MODES.dig];
+
+      const previousZone = zone;
+      const nextZone = resolveZone(headingDeg, config);
+      if (nextZone !== zone) {
+        zone = nextZone;
+        zoneSince = now;
+      }
+      const dwelled = (ms) => now - zoneSince >= ms;
+
+      const atLoad = roles.load.indexOf(zone) >= 0;
+      if (armed && !atLoad) trackExcursion(headingDeg, previousZone, config, roles);
+
+      if (zone === null) {
+        // Left a zone: record which way the cab is travelling
+        if (state === STATES.atGrave) state = STATES.swingingOut;
+        else if (state === STATES.atTarget) state = STATES.returning;
+        return null;
+      }
+
+      if (atLoad) {
+        const result = roles.load.indexOf(previousZone) < 0 && armed ? judgeExcursion(config, roles, now) : null;
+        if (dwelled(config.graveDwellMs)) {
+          state = STATES.atGrave;
+          armed = true;
+          loadedAt = zone;
+        }
+        return result;
+      }
+
+      // At the dumping end
+      if (!dwelled(config.dumpDwellMs) || state === STATES.atTarget) return null;
+      const fromIdle = state === STATES.idle;
+      state = STATES.atTarget;
+      if (!armed) {
+        // Starting up at the dumping end is normal; coming back to it without loading is not
+        return fromIdle ? null : suspect(zone, SUSPECT_REASONS.noGraveReturn, now);
+      }
+      armed = false;
+      excursion = null;
+      if (now - lastCountTs < config.minCycleMs) return suspect(zone, SUSPECT_REASONS.tooSoon, now);
+      previousCountTs = lastCountTs;
+      lastCountTs = now;
+      return { type: 'count', target: zone, from: loadedAt, ts: now, arrivedAt: zoneSince };
+    };
+
+    return { update, reset, retractCount, getState };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.detector = { createSwingDetector, STATES, MODES, DEFAULT_CONFIG, SUSPECT_REASONS };
+})();
@@ -0,0 +1,70 @@
+/*
+  Bucket Counter – Dump signature
+  - The jolt of the bucket curling and emptying, from accelerationIncludingGravity:
+    how far the acceleration magnitude jumps away from its recent average
+  - Lets a swing to the dumping end count only once a dump was felt there, so
+    turning the cab to talk to someone is not counted (see core.js)
+  - The jolt threshold can be learned from a few sample dumps
+  - No DOM or clock access: callers pass the timestamps
+*/
+
+(function () {
+  'use strict';
+
+  const DUMP_DEFAULTS = {
+    baselineTauMs: 300, // the slow part of the magnitude (gravity, the swing itself) follows this
+    historyMs: 15000, // jolt samples kept
+    staleMs: 1000, // no motion sample for this long: nothing to confirm a dump with
+    waitMs: 5000, // a dump may still be felt this long after the swing was counted
+    learnFraction: 0.6, // learned threshold as a fraction of the typical sample dump
+  };
+
+  const createDumpSensor = (options) => {
+    const config = Object.assign({}, DUMP_DEFAULTS, options);
+    let baseline = NaN;
+    let lastTs = 0;
+    let samples = []; // { ts, jolt }, oldest first
+
+    const reset = () => {
+      baseline = NaN;
+      lastTs = 0;
+      samples = [];
+    };
+
+    // A devicemotion event; jolt is in m/s²
+    const onMotion = (event, ts) => {
+      const a = event.accelerationIncludingGravity;
+      if (!a || typeof a.x !== 'number' || typeof a.y !== 'number' || typeof a.z !== 'number') return;
+      const magnitude = Math.hypot(a.x, a.y, a.z);
+      if (!Number.isFinite(baseline)) baseline = magnitude;
+      // Measured against the average before this sample, so a sharp jolt counts in full
+      samples.push({ ts, jolt: Math.abs(magnitude - baseline) });
+      baseline += (magnitude - baseline) * (1 - Math.exp(-Math.max(0, ts - lastTs) / config.baselineTauMs));
+      lastTs = ts;
+      while (samples.length && samples[0].ts < ts - config.historyMs) samples.shift();
+    };
+
+    // True while the accelerometer is delivering data
+    const hasData = (now) => lastTs > 0 && now - lastTs < config.staleMs;
+
+    // Largest jolt at or after ts, 0 when there is none
+    const peakSince = (ts) => samples.reduce((peak, s) => (s.ts >= ts && s.jolt > peak ? s.jolt : peak), 0);
+
+    return { onMotion, hasData, peakSince, reset };
+  };
+
+  /*
+    Threshold from the peak jolts of a few sample dumps: a fraction of their
+    median, so a softer dump than usual still clears it. NaN without samples.
+  */
+  const learnThreshold = (peaks, fraction) => {
+    const sorted = peaks.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!sorted.length) return NaN;
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return median * (fraction === undefined ? DUMP_DEFAULTS.learnFraction : fraction);
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.dump = { createDumpSensor, learnThreshold, DUMP_DEFAULTS };
+})();
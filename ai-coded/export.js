@@ -0,0 +1,178 @@
+/*
+  Bucket Counter – Export
+  - Serialises jobs (current or archived) to CSV and JSON
+  - CSV dates and numbers can follow a locale, for spreadsheets set up in that
+    language; JSON always keeps ISO dates and plain numbers
+  - Hands files to the Web Share API, falling back to a plain download
+  - Entirely client-side so it works offline
+*/
+
+(function () {
+  'use strict';
+
+  const JOB_COLUMNS = [
+    'id', 'label', 'machine', 'startedAt', 'endedAt', 'durationMin',
+    'truckCount', 'pileCount', 'total', 'backfillCount', 'loadsHauled', 'bucketsPerLoad', 'volumeYd3', 'targetYd3',
+    'graveHeading', 'pileHeading', 'truckHeading',
+    'toleranceDeg', 'hysteresisDeg', 'graveDwellMs', 'dumpDwellMs', 'minCycleMs', 'manualStep', 'eventCount', 'pendingReview'
+  ];
+
+  const EVENT_COLUMNS = ['jobId', 'jobLabel', 'ts', 'source', 'target', 'delta', 'headingDeg'];
+
+  const toIso = (ts) => (Number.isFinite(ts) && ts > 0 ? new Date(ts).toISOString() : '');
+
+  const LOCALE_DATE = { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' };
+
+  /*
+    How cells are written: { delimiter, date(ts), number(n, digits) }. Without a
+    locale, ISO dates and plain numbers; with one, its own formats, and ';'
+    between cells where it writes decimal commas, as spreadsheets there expect.
+  */
+  const csvFormat = (locale) => {
+    if (!locale) {
+      return {
+        delimiter: ',',
+        date: toIso,
+        number: (n, digits) => (Number.isFinite(n) && digits !== undefined ? n.toFixed(digits) : n),
+      };
+    }
+    const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find((part) => part.type === 'decimal');
+    return {
+      delimiter: decimal && decimal.value === ',' ? ';' : ',',
+      date: (ts) => (Number.isFinite(ts) && ts > 0 ? new Date(ts).toLocaleString(locale, LOCALE_DATE) : ''),
+      number: (n, digits) => {
+        if (!Number.isFinite(n)) return n;
+        const fraction = digits === undefined ? { maximumFractionDigits: 6 } : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+        return new Intl.NumberFormat(locale, { useGrouping: false, ...fraction }).format(n);
+      },
+    };
+  };
+
+  // Quote a CSV cell when it contains the delimiter, a quote or a newline
+  const csvCell = (value, delimiter) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /["\r\n]/.test(text) || text.indexOf(delimiter) >= 0 ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const csvRows = (columns, rows, delimiter) =>
+    [columns.join(delimiter)]
+      .concat(rows.map((row) => columns.map((c) => csvCell(row[c], delimiter)).join(delimiter)))
+      .join('\r\n') + '\r\n';
+
+  const jobRow = (job, format) => {
+    const { date, number } = format;
+    const calibration = job.calibration || {};
+    const duration = job.endedAt && job.startedAt ? (job.endedAt - job.startedAt) / 60000 : null;
+    return {
+      id: job.id,
+      label: job.label,
+      machine: job.machine,
+      startedAt: date(job.startedAt),
+      endedAt: date(job.endedAt),
+      durationMin: duration === null ? '' : number(duration, 1),
+      truckCount: number(job.truckCount),
+      pileCount: number(job.pileCount),
+      total: number(job.total),
+      backfillCount: number(job.backfillCount || 0),
+      loadsHauled: Array.isArray(job.truckLoads) ? job.truckLoads.length : '',
+      bucketsPerLoad: Array.isArray(job.truckLoads) ? job.truckLoads.map((load) => number(load.buckets)).join(';') : '',
+      volumeYd3: Number.isFinite(job.volumeYd3) ? number(job.volumeYd3, 2) : '',
+      targetYd3: Number.isFinite(job.targetYd3) ? number(job.targetYd3, 2) : '',
+      graveHeading: number(calibration.graveHeading),
+      pileHeading: number(calibration.pileHeading),
+      truckHeading: number(calibration.truckHeading),
+      toleranceDeg: number(job.toleranceDeg),
+      hysteresisDeg: number(job.hysteresisDeg),
+      graveDwellMs: job.graveDwellMs,
+      dumpDwellMs: job.dumpDwellMs,
+      minCycleMs: job.minCycleMs,
+      manualStep: number(job.manualStep),
+      eventCount: Array.isArray(job.events) ? job.events.length : '',
+      pendingReview: Array.isArray(job.suspects) ? job.suspects.filter((s) => s.status === 'pending').length : '',
+    };
+  };
+
+  // locale is optional; see csvFormat
+  const jobsToCsv = (jobs, locale) => {
+    const format = csvFormat(locale);
+    return csvRows(JOB_COLUMNS, jobs.map((job) => jobRow(job, format)), format.delimiter);
+  };
+
+  // Per-bucket events across jobs, or null if none of the jobs has any
+  const eventsToCsv = (jobs, locale) => {
+    const { delimiter, date, number } = csvFormat(locale);
+    const rows = [];
+    jobs.forEach((job) => {
+      (job.events || []).forEach((event) => {
+        rows.push({
+          jobId: job.id,
+          jobLabel: job.label,
+          ts: date(event.ts),
+          source: event.source,
+          target: event.target,
+          delta: number(event.delta),
+          headingDeg: number(event.headingDeg),
+        });
+      });
+    });
+    return rows.length ? csvRows(EVENT_COLUMNS, rows, delimiter) : null;
+  };
+
+  const jobsToJson = (jobs) =>
+    JSON.stringify({ app: 'bucket-counter', exportedAt: new Date().toISOString(), jobs }, null, 2);
+
+  // File name stem such as "bucket-counter-plot-12-2025-08-22"
+  const fileStem = (name) => {
+    const slug = String(name || 'jobs').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'jobs';
+    return `bucket-counter-${slug}-${new Date().toISOString().slice(0, 10)}`;
+  };
+
+  // Build the export files for a list of jobs in the given format ('csv' | 'json')
+  const buildFiles = (jobs, format, name, locale) => {
+    const stem = fileStem(name);
+    if (format === 'json') {
+      return [new File([jobsToJson(jobs)], `${stem}.json`, { type: 'application/json' })];
+    }
+    const files = [new File([jobsToCsv(jobs, locale)], `${stem}.csv`, { type: 'text/csv' })];
+    const events = eventsToCsv(jobs, locale);
+    if (events) files.push(new File([events], `${stem}-events.csv`, { type: 'text/csv' }));
+    return files;
+  };
+
+  const download = (file) => {
+    const url = URL.createObjectURL(file);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // Share through the OS share sheet where files can be shared; otherwise download
+  const shareOrDownload = async (files, title) => {
+    if (navigator.canShare && navigator.share && navigator.canShare({ files })) {
+      try {
+        await navigator.share({ files, title });
+        return 'shared';
+      } catch (err) {
+        if (err && err.name === 'AbortError') return 'cancelled';
+        // Any other failure (e.g. no share target) falls through to download
+      }
+    }
+    files.forEach(download);
+    return 'downloaded';
+  };
+
+  // options: { locale, title } for the CSV formats and the share sheet
+  const exportJobs = (jobs, format, name, options) => {
+    const { locale, title = 'Bucket Counter export' } = options || {};
+    return shareOrDownload(buildFiles(jobs, format, name, locale), title);
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.exporter = { jobsToCsv, eventsToCsv, jobsToJson, buildFiles, shareOrDownload, exportJobs };
+})();
@@ -0,0 +1,130 @@
+/*
+  Bucket Counter – Count feedback
+  - Vibration, a Web Audio beep and optional spoken total on every automatic count,
+    in the app's language (see i18n.js)
+  - A distinct low double tone for a rejected or suspect swing
+  - A long alert when the truck is full; it always vibrates, whatever the channels
+  - Each channel can be toggled; choices are kept in storage (see storage.js)
+  - Everything is generated on the device, so it works offline
+*/
+
+(function () {
+  'use strict';
+
+  const storage = self.BucketCounter.storage;
+  const i18n = self.BucketCounter.i18n;
+
+  const CHANNEL_DEFAULTS = { vibrate: true, beep: true, speak: false };
+
+  const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+  const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+  // English words for a count, e.g. 23 -> "twenty-three", 7.5 -> "seven and a half"
+  const numberToWords = (value) => {
+    const whole = Math.floor(value);
+    const half = value - whole >= 0.5 ? ' and a half' : '';
+    const words = (n) => {
+      if (n < 20) return ONES[n];
+      if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+      if (n < 1000) return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` and ${words(n % 100)}` : '');
+      return String(n);
+    };
+    return words(whole) + half;
+  };
+
+  const loadChannels = () => Object.assign({}, CHANNEL_DEFAULTS, storage.get('settings.feedback'));
+
+  const createFeedback = () => {
+    const channels = loadChannels();
+    let audioContext = null;
+
+    const getAudioContext = () => {
+      const Ctor = self.AudioContext || self.webkitAudioContext;
+      if (!Ctor) return null;
+      if (!audioContext) audioContext = new Ctor();
+      if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+      return audioContext;
+    };
+
+    // iOS only allows audio after a user gesture; call this from a tap (e.g. Start)
+    const unlock = () => {
+      if (channels.beep) getAudioContext();
+      if (channels.speak && self.speechSynthesis) {
+        // A silent utterance primes speech output on iOS
+        const primer = new SpeechSynthesisUtterance('');
+        primer.volume = 0;
+        self.speechSynthesis.speak(primer);
+      }
+    };
+
+    // Square waves cut through engine noise better than sine tones
+    const playTones = (tones) => {
+      const ctx = getAudioContext();
+      if (!ctx) return;
+      let at = ctx.currentTime;
+      tones.forEach(({ freq, ms }) => {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0.0001, at);
+        gain.gain.exponentialRampToValueAtTime(0.6, at + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + ms / 1000);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(at);
+        osc.stop(at + ms / 1000 + 0.02);
+        at += ms / 1000 + 0.06;
+      });
+    };
+
+    const vibrate = (pattern) => {
+      if (navigator.vibrate) navigator.vibrate(pattern);
+    };
+
+    const speak = (text) => {
+      if (!self.speechSynthesis) return;
+      self.speechSynthesis.cancel(); // never queue up stale totals
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = i18n.locale();
+      utterance.rate = 1.1;
+      utterance.volume = 1;
+      self.speechSynthesis.speak(utterance);
+    };
+
+    // An automatic count; total is the new job total
+    const counted = (total) => {
+      if (channels.vibrate) vibrate(200);
+      if (channels.beep) playTones([{ freq: 1760, ms: 120 }]);
+      // Other languages' voices read the locale's digits, e.g. "2,5" as "dos coma cinco"
+      if (channels.speak) speak(i18n.getLanguage() === 'en' ? numberToWords(total) : i18n.formatNumber(total));
+    };
+
+    // A swing that was rejected or needs review
+    const suspect = () => {
+      if (channels.vibrate) vibrate([80, 80, 80]);
+      if (channels.beep) playTones([{ freq: 440, ms: 150 }, { freq: 330, ms: 200 }]);
+    };
+
+    // The current truck reached its capacity
+    const truckFull = () => {
+      vibrate([400, 150, 400, 150, 400]);
+      if (channels.beep) playTones([{ freq: 880, ms: 150 }, { freq: 1175, ms: 150 }, { freq: 1760, ms: 300 }]);
+      if (channels.speak) speak(i18n.t('truck.fullSpoken'));
+    };
+
+    const getChannels = () => ({ ...channels });
+
+    const setChannel = (name, enabled) => {
+      if (!(name in CHANNEL_DEFAULTS)) return;
+      channels[name] = Boolean(enabled);
+      storage.set('settings.feedback', channels);
+      if (enabled) unlock(); // toggling is a user gesture
+    };
+
+    return { counted, suspect, truckFull, unlock, getChannels, setChannel };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.feedback = { createFeedback, numberToWords };
+})();
@@ -0,0 +1,178 @@
+/*
+  Bucket Counter – Job hand-off by QR code
+  - A compact text summary of a finished job (label, date, counts, duration
+    dug and backfilled, and calibration) to show as a QR code (see qr.js)
+  - A camera scanner that reads such codes with BarcodeDetector where the
+    browser has it, else the bundled jsQR decoder (vendor/jsQR.js)
+  - Nothing leaves the device, so it works with no signal
+*/
+
+(function () {
+  'use strict';
+
+  const { analyzeJob } = self.BucketCounter.analytics;
+
+  const CODE_PREFIX = 'BCJOB1:';
+  const DECODER_SRC = './vendor/jsQR.js';
+  const MAX_LABEL = 60;
+  const MAX_FRAME_WIDTH = 640; // larger camera frames only slow the fallback decoder
+
+  const seconds = (ms) => Math.round(ms / 1000);
+  const tenths = (deg) => (Number.isFinite(deg) ? Math.round(deg * 10) / 10 : null);
+
+  /*
+    Summary text for a job record (see buildJobRecord in app.js). Times are in
+    whole seconds and headings in tenths of a degree to keep the code small.
+  */
+  const jobToCode = (job) => {
+    const calibration = job.calibration || {};
+    const summary = {
+      l: String(job.label || '').slice(0, MAX_LABEL),
+      m: String(job.machine || '').slice(0, MAX_LABEL),
+      s: seconds(job.startedAt),
+      e: seconds(job.endedAt),
+      p: seconds(analyzeJob(job).pausedMs),
+      t: job.truckCount || 0,
+      d: job.pileCount || 0,
+      b: job.backfillCount || 0,
+      c: [tenths(calibration.graveHeading), tenths(calibration.truckHeading), tenths(calibration.pileHeading)],
+    };
+    return CODE_PREFIX + JSON.stringify(summary);
+  };
+
+  const count = (v) => (typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : undefined);
+  const heading = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+  // Job record for history from scanned text, or null when it is not one of our codes
+  const codeToJob = (text) => {
+    if (typeof text !== 'string' || text.indexOf(CODE_PREFIX) !== 0) return null;
+    let summary = null;
+    try {
+      summary = JSON.parse(text.slice(CODE_PREFIX.length));
+    } catch (_) {
+      return null;
+    }
+    if (!summary || typeof summary !== 'object') return null;
+    const { s, e, p = 0, t, d, b = 0 } = summary;
+    if ([s, e, p, t, d, b].some((v) => count(v) === undefined) || e < s) return null;
+    const startedAt = s * 1000;
+    const endedAt = e * 1000;
+    const pausedMs = Math.min(p * 1000, endedAt - startedAt);
+    const [grave, truck, pile] = Array.isArray(summary.c) ? summary.c : [];
+    return {
+      label: typeof summary.l === 'string' ? summary.l : '',
+      machine: typeof summary.m === 'string' ? summary.m : '',
+      startedAt,
+      endedAt,
+      truckCount: t,
+      pileCount: d,
+      total: t + d,
+      backfillCount: b,
+      calibration: { graveHeading: heading(grave), pileHeading: heading(pile), truckHeading: heading(truck) },
+      // Only the paused total travels; keep it as one pause at the end
+      pauses: pausedMs > 0 ? [{ start: endedAt - pausedMs, end: endedAt }] : [],
+      importedAt: Date.now(),
+    };
+  };
+
+  // Native detector when it supports QR codes, else null
+  const createNativeDetector = async () => {
+    if (!('BarcodeDetector' in self)) return null;
+    try {
+      const formats = await self.BarcodeDetector.getSupportedFormats();
+      return formats.indexOf('qr_code') >= 0 ? new self.BarcodeDetector({ formats: ['qr_code'] }) : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  // The fallback decoder is only fetched (from the cache when offline) the first time it is needed
+  const loadDecoder = () => new Promise((resolve, reject) => {
+    if (self.jsQR) {
+      resolve(self.jsQR);
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = DECODER_SRC;
+    script.onload = () => (self.jsQR ? resolve(self.jsQR) : reject(new Error('qr-decoder-unavailable')));
+    script.onerror = () => reject(new Error('qr-decoder-unavailable'));
+    document.head.appendChild(script);
+  });
+
+  /*
+    options: { video, onCode(text), intervalMs }
+    start() asks for the rear camera and calls onCode for every code it reads
+    until stop(). start() rejects when there is no camera or access is denied.
+  */
+  const createScanner = (options) => {
+    const { video, onCode, intervalMs = 250 } = options;
+    let stream = null;
+    let timer = null;
+    let detector = null;
+    let decode = null;
+    let canvas = null;
+    let generation = 0; // bumped by stop() so a start() still waiting on the camera gives up
+
+    const readFrame = async () => {
+      if (detector) {
+        const codes = await detector.detect(video);
+        return codes.length ? codes[0].rawValue : null;
+      }
+      if (!video.videoWidth) return null;
+      const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+      const width = Math.round(video.videoWidth * scale);
+      const height = Math.round(video.videoHeight * scale);
+      canvas = canvas || document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, width, height);
+      const result = decode(ctx.getImageData(0, 0, width, height).data, width, height, { inversionAttempts: 'dontInvert' });
+      return result ? result.data : null;
+    };
+
+    const tick = async () => {
+      if (!stream) return;
+      try {
+        const text = await readFrame();
+        if (text && stream) onCode(text);
+      } catch (_) {
+        // A frame that cannot be read is skipped
+      }
+      if (stream) timer = setTimeout(tick, intervalMs);
+    };
+
+    const start = async () => {
+      if (stream) return;
+      const run = ++generation;
+      detector = await createNativeDetector();
+      if (!detector) decode = await loadDecoder();
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) throw new Error('camera-unavailable');
+      const media = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+      if (run !== generation) {
+        media.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      stream = media;
+      video.setAttribute('playsinline', '');
+      video.muted = true;
+      video.srcObject = stream;
+      await video.play();
+      tick();
+    };
+
+    const stop = () => {
+      generation += 1;
+      clearTimeout(timer);
+      timer = null;
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+      stream = null;
+      video.srcObject = null;
+    };
+
+    return { start, stop, isScanning: () => Boolean(stream) };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.handoff = { CODE_PREFIX, jobToCode, codeToJob, createScanner };
+})();
@@ -0,0 +1,239 @@
+/*
+  Bucket Counter – Heading
+  - Compass heading from the full alpha/beta/gamma orientation and the screen
+    angle, so portrait, landscape, flat and tilted mounts agree
+  - Short-term heading changes come from the gyroscope (DeviceMotionEvent.rotationRate)
+  - The compass only slowly pulls the result back to correct gyro drift
+  - When compass and gyro disagree badly (steel cab, hydraulics) the compass is
+    ignored and the heading continues gyro-only, relative to the last good value
+*/
+
+(function () {
+  'use strict';
+
+  const { clampDeg, signedDelta } = self.BucketCounter.angles;
+
+  const MODES = {
+    compass: 'compass', // no gyro data, compass passed straight through
+    fused: 'fused', // gyro with slow compass correction
+    gyro: 'gyro', // compass rejected, gyro-only relative heading
+  };
+
+  const FUSION_DEFAULTS = {
+    correctionTauMs: 5000, // time constant of the compass drift correction
+    disagreeDeg: 30, // compass this far from the fused heading is suspect...
+    disagreeMs: 1500, // ...and rejected once it stays suspect this long
+    agreeDeg: 10, // compass back within this band...
+    agreeMs: 3000, // ...for this long is trusted again
+    gyroTimeoutMs: 1000, // no motion events for this long: fall back to compass only
+    maxStepMs: 200, // cap a single integration step (e.g. after the tab was hidden)
+  };
+
+  const MOUNTS = {
+    flat: 'flat', // lying on the dash: heading follows the top of the screen
+    upright: 'upright', // on the window: heading follows the back camera
+  };
+
+  // |up.z| thresholds with a dead band so a mount near 45° does not flap
+  const FLAT_ENTER = 0.8;
+  const FLAT_EXIT = 0.6;
+  const TILTED_MIN = 0.35; // upright but leaning more than ~20° from vertical
+
+  const DEG = Math.PI / 180;
+
+  // Device frame -> earth frame (x east, y north, z up) for W3C Z-X'-Y'' angles
+  const rotateToEarth = (v, alphaDeg, betaDeg, gammaDeg) => {
+    const a = alphaDeg * DEG;
+    const b = betaDeg * DEG;
+    const g = gammaDeg * DEG;
+    // Ry(gamma)
+    const x1 = Math.cos(g) * v[0] + Math.sin(g) * v[2];
+    const y1 = v[1];
+    const z1 = -Math.sin(g) * v[0] + Math.cos(g) * v[2];
+    // Rx(beta)
+    const x2 = x1;
+    const y2 = Math.cos(b) * y1 - Math.sin(b) * z1;
+    const z2 = Math.sin(b) * y1 + Math.cos(b) * z1;
+    // Rz(alpha)
+    return [Math.cos(a) * x2 - Math.sin(a) * y2, Math.sin(a) * x2 + Math.cos(a) * y2, z2];
+  };
+
+  // Current screen rotation in degrees (0, 90, 180, 270)
+  const screenAngle = () => {
+    if (self.screen && self.screen.orientation && typeof self.screen.orientation.angle === 'number') {
+      return self.screen.orientation.angle;
+    }
+    return typeof self.orientation === 'number' ? self.orientation : 0;
+  };
+
+  /*
+    Absolute alpha (0 = device top pointing north) for an orientation event, or NaN.
+    iOS reports a relative alpha plus webkitCompassHeading; deviceorientationabsolute
+    and events flagged absolute already carry an absolute alpha.
+  */
+  const absoluteAlpha = (event) => {
+    if (typeof event.webkitCompassHeading === 'number') return clampDeg(360 - event.webkitCompassHeading);
+    // Browsers without an absolute event report alpha relative to an arbitrary start;
+    // it still works for detection because calibration uses the same reference.
+    return typeof event.alpha === 'number' ? event.alpha : NaN;
+  };
+
+  /*
+    Heading (compass degrees) and detected mount for an orientation event.
+    previousMount keeps the mount stable while the tilt is in the dead band.
+  */
+  const orientationToHeading = (event, angle, previousMount) => {
+    const alpha = absoluteAlpha(event);
+    if (!Number.isFinite(alpha)) return { heading: NaN, mount: previousMount || null };
+    const beta = typeof event.beta === 'number' ? event.beta : 0;
+    const gamma = typeof event.gamma === 'number' ? event.gamma : 0;
+
+    const upZ = Math.abs(Math.cos(beta * DEG) * Math.cos(gamma * DEG));
+    let kind;
+    if (upZ >= FLAT_ENTER) kind = MOUNTS.flat;
+    else if (upZ <= FLAT_EXIT) kind = MOUNTS.upright;
+    else kind = previousMount ? previousMount.kind : MOUNTS.upright;
+
+    const screenRad = (angle || 0) * DEG;
+    const forward = kind === MOUNTS.flat
+      ? [Math.sin(screenRad), Math.cos(screenRad), 0] // top edge of the screen as displayed
+      : [0, 0, -1]; // out of the back camera
+    const earth = rotateToEarth(forward, alpha, beta, gamma);
+    const heading = clampDeg(Math.atan2(earth[0], earth[1]) / DEG);
+
+    const landscape = Math.round((angle || 0) / 90) % 2 !== 0;
+    return {
+      heading,
+      mount: {
+        kind,
+        screen: landscape ? 'landscape' : 'portrait',
+        tilted: kind === MOUNTS.upright && upZ > TILTED_MIN,
+      },
+    };
+  };
+
+  // Orientation event to listen for: the absolute variant where the browser provides it
+  const orientationEventName = () =>
+    'ondeviceorientationabsolute' in self ? 'deviceorientationabsolute' : 'deviceorientation';
+
+  const createHeadingFusion = (options) => {
+    const config = Object.assign({}, FUSION_DEFAULTS, options);
+    let heading = NaN;
+    let mode = MODES.compass;
+    let lastCompassTs = 0;
+    let lastMotionTs = 0;
+    let disagreeSince = 0;
+    let agreeSince = 0;
+    let up = [0, 0, 1]; // world vertical in the device frame, from the latest tilt
+
+    const reset = () => {
+      heading = NaN;
+      mode = MODES.compass;
+      lastCompassTs = 0;
+      lastMotionTs = 0;
+      disagreeSince = 0;
+      agreeSince = 0;
+      up = [0, 0, 1];
+    };
+
+    const hasGyro = (now) => lastMotionTs > 0 && now - lastMotionTs < config.gyroTimeoutMs;
+
+    /*
+      World "up" in the device frame from the orientation event tilt
+      (W3C Z-X'-Y'' angles; alpha does not affect the vertical).
+      Used instead of accelerationIncludingGravity, whose sign differs between browsers.
+    */
+    const setTilt = (betaDeg, gammaDeg) => {
+      if (typeof betaDeg !== 'number' || typeof gammaDeg !== 'number') return;
+      const b = betaDeg * Math.PI / 180;
+      const g = gammaDeg * Math.PI / 180;
+      up = [-Math.sin(g) * Math.cos(b), Math.sin(b), Math.cos(g) * Math.cos(b)];
+    };
+
+    /*
+      Yaw rate about the world vertical, in compass degrees per second (clockwise positive).
+      rotationRate is in the device frame (alpha: z, beta: x, gamma: y); projecting it onto
+      the vertical makes the result independent of how the phone is mounted.
+    */
+    const yawRateFromMotion = (event) => {
+      const r = event.rotationRate;
+      if (!r || typeof r.alpha !== 'number' || typeof r.beta !== 'number' || typeof r.gamma !== 'number') return NaN;
+      return -(r.beta * up[0] + r.gamma * up[1] + r.alpha * up[2]);
+    };
+
+    const onMotion = (event, now) => {
+      const rate = yawRateFromMotion(event);
+      if (!Number.isFinite(rate)) return;
+      const dtMs = lastMotionTs ? Math.min(now - lastMotionTs, config.maxStepMs) : 0;
+      lastMotionTs = now;
+      if (!Number.isFinite(heading)) return; // wait for the compass to give a starting point
+      if (mode === MODES.compass) mode = MODES.fused;
+      heading = clampDeg(heading + rate * dtMs / 1000);
+    };
+
+    // orientationEvent supplies the tilt; compassDeg is the heading derived from it
+    const onOrientation = (orientationEvent, compassDeg, now) => {
+      setTilt(orientationEvent.beta, orientationEvent.gamma);
+      if (!Number.isFinite(compassDeg)) return;
+      const dtMs = lastCompassTs ? Math.min(now - lastCompassTs, config.maxStepMs) : 0;
+      lastCompassTs = now;
+
+      if (!Number.isFinite(heading) || !hasGyro(now)) {
+        heading = compassDeg;
+        mode = MODES.compass;
+        disagreeSince = 0;
+        agreeSince = 0;
+        return;
+      }
+
+      const error = signedDelta(compassDeg, heading);
+      const absError = Math.abs(error);
+
+      if (mode === MODES.gyro) {
+        // Wait for the compass to settle back near the gyro heading before trusting it
+        if (absError <= config.agreeDeg) {
+          if (!agreeSince) agreeSince = now;
+          if (now - agreeSince >= config.agreeMs) {
+            mode = MODES.fused;
+            disagreeSince = 0;
+          }
+        } else {
+          agreeSince = 0;
+        }
+        return;
+      }
+
+      if (absError > config.disagreeDeg) {
+        if (!disagreeSince) disagreeSince = now;
+        if (now - disagreeSince >= config.disagreeMs) {
+          mode = MODES.gyro;
+          agreeSince = 0;
+        }
+        return; // never pull towards a suspect compass reading
+      }
+      disagreeSince = 0;
+      mode = MODES.fused;
+      // First-order pull towards the compass
+      heading = clampDeg(heading + error * Math.min(1, dtMs / config.correctionTauMs));
+    };
+
+    return {
+      onMotion,
+      onOrientation,
+      reset,
+      getHeading: () => heading,
+      getMode: () => mode,
+    };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.heading = {
+    createHeadingFusion,
+    orientationToHeading,
+    orientationEventName,
+    screenAngle,
+    MODES,
+    MOUNTS,
+    FUSION_DEFAULTS,
+  };
+})();
@@ -0,0 +1,129 @@
+/*
+  Bucket Counter – Sensor health
+  - Watches the orientation stream for the ways it goes wrong on a machine: the
+    events stop or slow down, the values freeze, the heading jitters near the
+    hydraulics, or the compass reports that it needs a figure 8
+  - Status is 'ok', 'warn', 'bad', or 'unknown' before the first sample; counts
+    made while it is not 'ok' are marked unreliable (see core.js)
+  - No DOM or clock access: callers pass the timestamps
+*/
+
+(function () {
+  'use strict';
+
+  const { signedDelta } = self.BucketCounter.angles;
+
+  const HEALTH_DEFAULTS = {
+    windowMs: 3000, // recent samples used for the rate and noise
+    staleMs: 1500, // no sample for this long: the stream has stopped
+    minRateHz: 5, // slower than this cannot follow a swing
+    frozenMs: 5000, // raw values identical for this long: the sensor is stuck
+    noisyDeg: 3, // heading jitter (RMS, with the swing itself taken out) above this
+    compassAccuracyDeg: 25, // webkitCompassAccuracy worse than this needs a figure 8
+    compassPromptMs: 30000, // a 'compassneedscalibration' event keeps the prompt up this long
+  };
+
+  const STATUS = { ok: 'ok', warn: 'warn', bad: 'bad', unknown: 'unknown' };
+
+  const ISSUES = {
+    stale: 'stale', // no recent samples
+    slow: 'slow', // samples too far apart
+    frozen: 'frozen', // same raw values over and over
+    noisy: 'noisy', // heading jumping around
+    compass: 'compass', // compass reports it is uncalibrated or inaccurate
+  };
+
+  const ISSUE_STATUS = {
+    [ISSUES.stale]: STATUS.bad,
+    [ISSUES.frozen]: STATUS.bad,
+    [ISSUES.slow]: STATUS.warn,
+    [ISSUES.noisy]: STATUS.warn,
+    [ISSUES.compass]: STATUS.warn,
+  };
+
+  // RMS distance of each heading from the midpoint of its neighbours: a steady
+  // swing stays near zero, sensor jitter does not
+  const jitterDeg = (samples) => {
+    if (samples.length < 5) return NaN;
+    let sum = 0;
+    for (let i = 1; i < samples.length - 1; i += 1) {
+      const r = (signedDelta(samples[i].heading, samples[i - 1].heading) - signedDelta(samples[i + 1].heading, samples[i].heading)) / 2;
+      sum += r * r;
+    }
+    return Math.sqrt(sum / (samples.length - 2));
+  };
+
+  const createHealthMonitor = (options) => {
+    const config = Object.assign({}, HEALTH_DEFAULTS, options);
+    let samples = []; // { ts, heading } within windowMs of the latest
+    let firstTs = 0;
+    let lastTs = 0;
+    let lastRaw = null;
+    let rawSince = 0;
+    let accuracyDeg = NaN;
+    let compassFlaggedAt = -Infinity;
+
+    const reset = () => {
+      samples = [];
+      firstTs = 0;
+      lastTs = 0;
+      lastRaw = null;
+      rawSince = 0;
+      accuracyDeg = NaN;
+      compassFlaggedAt = -Infinity;
+    };
+
+    // One orientation event and the heading worked out from it
+    const addSample = (event, headingDeg, ts) => {
+      if (!firstTs) firstTs = ts;
+      lastTs = ts;
+      samples.push({ ts, heading: headingDeg });
+      while (samples.length && samples[0].ts <= ts - config.windowMs) samples.shift();
+      const raw = [event.alpha, event.beta, event.gamma, event.webkitCompassHeading].join();
+      if (raw !== lastRaw) {
+        lastRaw = raw;
+        rawSince = ts;
+      }
+      // iOS only; negative means the compass is not calibrated
+      accuracyDeg = typeof event.webkitCompassAccuracy === 'number' ? event.webkitCompassAccuracy : NaN;
+    };
+
+    // The browser's 'compassneedscalibration' event
+    const flagCompass = (ts) => {
+      compassFlaggedAt = ts;
+    };
+
+    /*
+      Health at time now: { status, issues, rateHz, noiseDeg, accuracyDeg, lastTs }
+      rateHz and noiseDeg are NaN until there are enough samples to tell.
+    */
+    const check = (now) => {
+      if (!lastTs) return { status: STATUS.unknown, issues: [], rateHz: NaN, noiseDeg: NaN, accuracyDeg, lastTs };
+      const issues = [];
+      const recent = samples.filter((s) => s.ts > now - config.windowMs);
+      const spanMs = Math.min(config.windowMs, now - firstTs);
+      const rateHz = spanMs >= 1000 ? recent.length / (spanMs / 1000) : NaN;
+      const noiseDeg = jitterDeg(recent);
+      if (now - lastTs > config.staleMs) {
+        issues.push(ISSUES.stale);
+      } else {
+        if (rateHz < config.minRateHz) issues.push(ISSUES.slow);
+        if (now - rawSince >= config.frozenMs) issues.push(ISSUES.frozen);
+        if (noiseDeg > config.noisyDeg) issues.push(ISSUES.noisy);
+      }
+      if (accuracyDeg < 0 || accuracyDeg > config.compassAccuracyDeg || now - compassFlaggedAt < config.compassPromptMs) {
+        issues.push(ISSUES.compass);
+      }
+      const statuses = issues.map((issue) => ISSUE_STATUS[issue]);
+      let status = STATUS.ok;
+      if (statuses.indexOf(STATUS.bad) >= 0) status = STATUS.bad;
+      else if (statuses.length) status = STATUS.warn;
+      return { status, issues, rateHz, noiseDeg, accuracyDeg, lastTs };
+    };
+
+    return { addSample, flagCompass, check, reset };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.health = { createHealthMonitor, HEALTH_DEFAULTS, STATUS, ISSUES };
+})();
@@ -0,0 +1,98 @@
+/*
+  Bucket Counter – Job history
+  - Archives finished jobs (one per grave) in IndexedDB
+  - Lists jobs newest first and groups them by day for totals
+*/
+
+(function () {
+  'use strict';
+
+  const DB_NAME = 'bucket-counter';
+  const DB_VERSION = 1;
+  const JOBS_STORE = 'jobs';
+
+  let dbPromise = null;
+
+  // Promise wrapper around an IDBRequest
+  const promisify = (request) =>
+    new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  const openDb = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in self)) {
+        reject(new Error('indexeddb-unavailable'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(JOBS_STORE)) {
+          const store = db.createObjectStore(JOBS_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('endedAt', 'endedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed (e.g. private mode)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await openDb();
+    const tx = db.transaction(JOBS_STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(JOBS_STORE));
+    await done;
+    return result;
+  };
+
+  // Store a finished job; resolves with its generated id
+  const addJob = (job) => withStore('readwrite', (store) => promisify(store.add(job)));
+
+  // All jobs, newest first
+  const listJobs = async () => {
+    const jobs = await withStore('readonly', (store) => promisify(store.getAll()));
+    return jobs.sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0));
+  };
+
+  // Local calendar day key (YYYY-MM-DD) for a timestamp
+  const dayKey = (ts) => {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  };
+
+  // Group jobs (already sorted) into days with bucket totals
+  const groupByDay = (jobs) => {
+    const days = [];
+    const byKey = new Map();
+    jobs.forEach((job) => {
+      const key = dayKey(job.endedAt || job.startedAt);
+      let day = byKey.get(key);
+      if (!day) {
+        day = { key, date: job.endedAt || job.startedAt, jobs: [], truckCount: 0, pileCount: 0, total: 0, backfillCount: 0 };
+        byKey.set(key, day);
+        days.push(day);
+      }
+      day.jobs.push(job);
+      day.truckCount += job.truckCount || 0;
+      day.pileCount += job.pileCount || 0;
+      day.total += job.total || 0;
+      day.backfillCount += job.backfillCount || 0;
+    });
+    return days;
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.history = { addJob, listJobs, groupByDay };
+})();
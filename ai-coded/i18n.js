@@ -0,0 +1,138 @@
+/*
+  Bucket Counter – Language
+  - Looks up user-facing strings in the message catalog (see messages.js),
+    falling back to English for anything not yet translated
+  - The language follows the phone (navigator.languages) until one is picked in
+    Settings; the choice is kept in storage (see storage.js)
+  - Numbers, dates and times are formatted for the same locale
+  - Static page text is marked up with data-i18n attributes and filled in by
+    translatePage; everything else is passed through t() as it is rendered
+  - Shared by both front ends
+*/
+
+(function () {
+  'use strict';
+
+  const storage = self.BucketCounter.storage;
+  const MESSAGES = self.BucketCounter.messages;
+
+  // Language code -> its name in that language, for the switcher
+  const LANGUAGES = { en: 'English', es: 'Español' };
+  const FALLBACK = 'en';
+
+  // data-i18n-* attribute -> what it sets on the element
+  const ATTRIBUTES = {
+    'data-i18n': (node, text) => { node.textContent = text; },
+    'data-i18n-title': (node, text) => { node.title = text; },
+    'data-i18n-placeholder': (node, text) => { node.placeholder = text; },
+    'data-i18n-aria-label': (node, text) => node.setAttribute('aria-label', text),
+  };
+
+  const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  const primary = (tag) => String(tag || '').toLowerCase().split('-')[0];
+
+  const phoneTags = () => {
+    const nav = self.navigator || {};
+    return nav.languages && nav.languages.length ? nav.languages : [nav.language];
+  };
+
+  // First of the phone's languages we have a catalog for
+  const phoneLanguage = () => {
+    const match = phoneTags().map(primary).find((code) => has(LANGUAGES, code));
+    return match || FALLBACK;
+  };
+
+  // The stored choice, or null to follow the phone
+  const getChoice = () => {
+    const choice = storage.get('settings.language');
+    return has(LANGUAGES, choice) ? choice : null;
+  };
+
+  const getLanguage = () => getChoice() || phoneLanguage();
+
+  // The phone's own tag when it is the same language (es-MX keeps its formats), else the code
+  const locale = () => {
+    const language = getLanguage();
+    return phoneTags().find((tag) => primary(tag) === language) || language;
+  };
+
+  /*
+    Number in the locale's format; digits fixes the decimals, otherwise up to 2
+    are shown. Anything that is not a finite number comes out as '—'.
+  */
+  const formatNumber = (value, digits) => {
+    if (!Number.isFinite(value)) return '—';
+    const options = digits === undefined
+      ? { maximumFractionDigits: 2 }
+      : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    return new Intl.NumberFormat(locale(), options).format(value);
+  };
+
+  // Date and/or time in the locale's format; options as for Date#toLocaleString
+  const formatDate = (ts, options) => new Date(ts).toLocaleString(locale(), options);
+
+  const interpolate = (text, params) =>
+    text.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!params || !has(params, name)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+
+  /*
+    Message for key in the current language with {name} placeholders filled
+    in from params; numbers are formatted for the locale. Plural messages are
+    picked by params.count. An unknown key comes back as the key itself.
+  */
+  const t = (key, params) => {
+    const language = getLanguage();
+    const catalog = MESSAGES[language] || {};
+    let message = has(catalog, key) ? catalog[key] : MESSAGES[FALLBACK][key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      const count = params && Number.isFinite(params.count) ? params.count : 0;
+      message = message[new Intl.PluralRules(locale()).select(count)] || message.other;
+    }
+    return interpolate(message, params);
+  };
+
+  // Fill in every data-i18n* attribute under root and set the page language
+  const translatePage = (root) => {
+    const scope = root || document;
+    Object.keys(ATTRIBUTES).forEach((attribute) => {
+      scope.querySelectorAll(`[${attribute}]`).forEach((node) => ATTRIBUTES[attribute](node, t(node.getAttribute(attribute))));
+    });
+    document.documentElement.lang = getLanguage();
+  };
+
+  let listeners = [];
+
+  // listener(language) after every change of language; returns an unsubscribe function
+  const onChange = (listener) => {
+    listeners.push(listener);
+    return () => {
+      listeners = listeners.filter((l) => l !== listener);
+    };
+  };
+
+  // A language code, or null to follow the phone again
+  const setLanguage = (code) => {
+    storage.set('settings.language', has(LANGUAGES, code) ? code : null);
+    translatePage(document);
+    listeners.forEach((listener) => listener(getLanguage()));
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.i18n = {
+    LANGUAGES,
+    t,
+    getLanguage,
+    getChoice,
+    setLanguage,
+    onChange,
+    locale,
+    formatNumber,
+    formatDate,
+    translatePage,
+  };
+})();
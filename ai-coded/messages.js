@@ -0,0 +1,575 @@
+/*
+  Bucket Counter – Message catalog
+  - Every user-facing string of both front ends, by language (see i18n.js)
+  - English is complete and is the fallback for a key missing elsewhere
+  - {name} is filled in from the parameters; an object of { one, other } is
+    picked by the plural rules of the language for the `count` parameter
+  - Keys are grouped by screen; to add a language, copy `en` and translate it,
+    then add its name to LANGUAGES in i18n.js
+*/
+
+(function () {
+  'use strict';
+
+  const en = {
+    // Header and banners
+    'app.history': 'History',
+    'app.settings': 'Settings',
+    'app.back': 'Back',
+    'app.footer': 'Offline-capable PWA.',
+    'theme.toLight': 'Switch to light mode',
+    'theme.toDark': 'Switch to dark mode',
+    'update.available': 'Update available',
+    'update.afterGrave': 'Update available — apply after this grave',
+    'update.now': 'Update now',
+    'storage.dismiss': 'Dismiss',
+    'storage.repaired': 'Some saved data could not be read and was reset ({fields}). Tap to dismiss.',
+
+    // Resume prompt
+    'resume.title': 'Resume job?',
+    'resume.prompt': {
+      one: 'Resume job from {time} — {count} bucket?',
+      other: 'Resume job from {time} — {count} buckets?',
+    },
+    'resume.calibrated': 'calibrated',
+    'resume.notCalibrated': 'not calibrated',
+    'resume.lastCount': 'last count {time}',
+    'resume.resume': 'Resume',
+    'resume.startClean': 'Start clean job',
+
+    // Counter
+    'compass.prompt': 'Compass needs calibration — wave in a figure 8',
+    'counter.total': 'Total',
+    'counter.backfilled': 'Backfilled',
+    'counter.phases': 'dug {dug} / backfilled {backfilled}',
+    'mode.group': 'Phase',
+    'mode.dig': 'Dig',
+    'mode.digTitle': 'Count grave to truck/pile swings',
+    'mode.backfill': 'Backfill',
+    'mode.backfillTitle': 'Count truck/pile to grave swings while closing the grave',
+    'target.truck': 'Truck',
+    'target.pile': 'Pile',
+    'target.dirtPile': 'Dirt Pile',
+    'target.grave': 'Grave',
+    'target.backfill': 'Backfill',
+    'target.truckTitle': 'Manual adjustments apply to the truck count',
+    'target.pileTitle': 'Manual adjustments apply to the dirt pile count',
+    'truck.load': 'Truck {load} · {buckets} / {capacity} buckets',
+    'truck.hauled': '{count} hauled',
+    'truck.new': 'New truck',
+    'truck.full': 'Truck full — send it off and tap New truck',
+    'truck.fullSpoken': 'Truck full',
+    'manual.add': 'Add {step}',
+    'manual.subtract': 'Subtract {step}',
+    'progress.of': 'of',
+    'progress.reached': 'Target volume reached',
+    'progress.eta': 'About {duration} left at {rate} buckets/h',
+    'progress.etaPending': 'Time to finish appears after a few buckets',
+    'duration.seconds': '{seconds} s',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+    'grave.size': 'Grave size',
+    'grave.adult': 'Standard adult grave (8 × 3.5 × 6 ft)',
+    'grave.child': 'Child grave (5 × 2.5 × 4 ft)',
+    'grave.cremation': 'Cremation plot (2 × 2 × 3 ft)',
+    'grave.custom': 'Custom size',
+    'grave.length': 'Length (ft)',
+    'grave.width': 'Width (ft)',
+    'grave.depth': 'Depth (ft)',
+
+    // Suspect swing review and the count log
+    'review.button': 'swing(s) to review',
+    'review.count': 'Count',
+    'review.ignore': 'Ignore',
+    'review.unreliable': '(unreliable data)',
+    'suspect.partial': 'Stopped short of {target}',
+    'suspect.overshoot': 'Swung past {target}',
+    'suspect.shortDwell': 'Did not stop at {target}',
+    'suspect.tooSoon': 'Too soon after the last count at {target}',
+    'suspect.noGraveReturn': 'No return to the grave before {target}',
+    'suspect.noDump': 'No dump felt at {target}',
+    'suspect.nothingLoaded': 'Nothing loaded before returning to {target}',
+    'suspect.truck': 'the truck',
+    'suspect.pile': 'the pile',
+    'suspect.backfill': 'the grave (backfill)',
+    'log.title': 'Count log',
+    'log.newTruck': 'new truck',
+    'log.unreliable': 'unreliable data',
+    'log.undo': 'Undo last',
+    'source.manual': 'manual',
+    'source.auto': 'auto',
+    'source.review': 'review',
+    'source.undo': 'undo',
+
+    // Simulated sensors
+    'sim.title': 'Simulated sensors',
+    'sim.heading': 'Simulated heading',
+    'sim.help': 'Drag the dial or use ← → (Shift for 1°)',
+    'sim.swings': 'Swings',
+    'sim.run': 'Run swings',
+    'sim.stop': 'Stop swings',
+    'sim.progress': 'Swing {swing} of {count}',
+
+    // Calibration and status
+    'instruction.start': 'Press Start to enable motion detection. Then set Grave, Dirt Pile and Truck positions.',
+    'instruction.moveDevice': 'Move device to initialize sensors…',
+    'instruction.autoCalibrate': 'Dig a few buckets to auto-calibrate, or set Truck and/or Dirt Pile Position',
+    'instruction.setDump': 'Set Truck and/or Dirt Pile Position',
+    'instruction.setGrave': 'Set Grave Position',
+    'calibration.setTruck': 'Set Truck',
+    'calibration.setPile': 'Set Dirt Pile',
+    'calibration.setGrave': 'Set Grave',
+    'calibration.reset': 'Reset Calibration',
+    'autocal.foundGrave': 'Auto-calibration found Grave',
+    'autocal.andTruck': 'and Truck',
+    'autocal.use': 'Use these',
+    'autocal.swap': 'Swap',
+    'autocal.dismiss': 'Dismiss',
+    'toggle.start': 'Start',
+    'toggle.pause': 'Pause',
+    'toggle.resume': 'Resume',
+    'status.label': 'Status:',
+    'status.sensor': 'Sensor:',
+    'status.heading': 'Heading:',
+    'status.mount': 'Mount:',
+    'status.machine': 'Machine:',
+    'status.idle': 'Idle',
+    'status.initializing': 'Initializing sensors…',
+    'status.readyToCalibrate': 'Ready to calibrate',
+    'status.detecting': 'Detecting…',
+    'status.detectingState': 'Detecting… ({state})',
+    'status.stale': 'No sensor data — paused until it returns',
+    'status.permissionRequired': 'Permission required to read heading',
+    'status.noSensorData': 'No sensor data. Move phone or tap Start',
+    'status.permissionDenied': 'Permission denied. Tap Retry to try again or Reload the app to re-prompt.',
+    'status.permissionGranted': 'Permissions granted. You can Start now or continue.',
+    'status.stillDenied': 'Still denied. You may need to reload and allow access.',
+    'swing.idle': 'waiting for grave',
+    'swing.atGrave': 'at grave',
+    'swing.swingingOut': 'swinging out',
+    'swing.atTarget': 'dumping',
+    'swing.returning': 'returning',
+    'backfillSwing.idle': 'waiting for truck or pile',
+    'backfillSwing.atGrave': 'loading',
+    'backfillSwing.swingingOut': 'swinging to grave',
+    'backfillSwing.atTarget': 'filling grave',
+    'backfillSwing.returning': 'returning',
+    'headingSource.compass': 'compass',
+    'headingSource.fused': 'gyro + compass',
+    'headingSource.gyro': 'gyro only – compass disturbed',
+    'mount.flat': 'Flat',
+    'mount.landscape': 'Landscape',
+    'mount.portrait': 'Portrait',
+    'mount.tilted': '{screen}, tilted',
+    'health.ok': 'OK',
+    'health.okDetail': 'OK · {rate} Hz · ±{noise}°',
+    'health.stale': 'no data',
+    'health.slow': 'updates too slow',
+    'health.frozen': 'values frozen',
+    'health.noisy': 'heading noisy',
+    'health.compass': 'compass needs calibration',
+    'permissions.help': 'Motion and Orientation access is required. If you previously denied, tap Retry. If the prompt does not appear, reload the app and allow access when prompted (you may also need to enable Motion & Orientation in your browser settings).',
+    'permissions.retry': 'Retry',
+    'permissions.reload': 'Reload app',
+
+    // The current job
+    'job.labelInput': 'Grave / plot label (optional)',
+    'job.labelPlaceholder': 'e.g. Section B, Row 4, Plot 12',
+    'job.details': 'Job details',
+    'job.newGrave': 'New Grave',
+    'export.csv': 'Export CSV',
+    'export.json': 'Export JSON',
+    'export.title': 'Bucket Counter export',
+
+    // Tuning tools
+    'tuning.title': 'Tuning tools',
+    'tuning.recordHelp': 'Record every sensor sample while detecting, then replay the file with different settings.',
+    'recording.start': 'Record session',
+    'recording.stop': 'Stop & save recording',
+    'recording.indicator': '● Recording',
+    'recording.shareTitle': 'Bucket Counter sensor session',
+    'replay.label': 'Replay a recorded session',
+    'replay.tolerance': 'Tolerance (°)',
+    'replay.dwell': 'Dwell (ms)',
+    'replay.run': 'Run replay',
+    'replay.noFile': 'Choose a recorded session file first.',
+    'replay.result': 'Would count {total} (truck {truck}, pile {pile}) with ±{tolerance}° / {graveDwell}–{dumpDwell} ms dwell.',
+    'replay.suspects': {
+      one: '{count} suspect swing.',
+      other: '{count} suspect swings.',
+    },
+    'replay.tally': 'Operator tally: {recorded}. {samples} samples over {minutes} min.',
+    'replay.backfill': 'Backfilled {count}.',
+    'replay.noMotion': 'This recording has no motion samples, so dumps could not be checked: every swing counts as if no dump were required.',
+    'replay.unreadable': 'Could not read that file as a recorded session.',
+
+    // History and job details
+    'history.title': 'Job History',
+    'history.scan': 'Scan job QR code',
+    'history.unavailable': 'History is unavailable on this device.',
+    'history.empty': 'No finished jobs yet.',
+    'history.buckets': {
+      one: '{count} bucket',
+      other: '{count} buckets',
+    },
+    'history.backfilled': '{count} backfilled',
+    'history.jobs': {
+      one: '{count} job',
+      other: '{count} jobs',
+    },
+    'history.unlabelled': 'Unlabelled grave',
+    'history.truck': 'truck {count}',
+    'history.pile': 'pile {count}',
+    'history.scanned': 'scanned',
+    'history.simulated': 'simulated',
+    'job.buckets': 'Buckets',
+    'job.noDump': 'Swings with no dump',
+    'job.truckLoads': 'Truck loads',
+    'job.bucketsPerLoad': 'Buckets per load',
+    'job.bucketsPerHour': 'Buckets per hour',
+    'job.workingTime': 'Working time',
+    'job.paused': 'Paused',
+    'job.medianCycle': 'Median cycle',
+    'job.averageCycle': 'Average cycle',
+    'job.fastestCycle': 'Fastest cycle',
+    'job.slowestCycle': 'Slowest cycle',
+    'job.chart': 'Buckets per hour chart',
+    'job.gaps': 'Longest idle gaps',
+    'job.noGaps': 'No gaps yet.',
+    'job.showQr': 'Show QR',
+    'job.qr': 'Job summary QR code',
+    'job.qrHelp': 'On the other phone: History → Scan job QR code. Works without signal.',
+    'job.qrTooLong': 'Label too long for a QR code',
+    'scan.title': 'Scan job',
+    'scan.point': 'Point the camera at a job QR code.',
+    'scan.invalid': 'That is not a Bucket Counter job code.',
+    'scan.noCamera': 'Camera unavailable. Allow camera access and try again.',
+
+    // Settings
+    'settings.language': 'Language',
+    'settings.languageAuto': 'Phone language',
+    'settings.autoCalibrate': 'Auto-calibrate from the first few swings and follow a repositioned truck',
+    'settings.feedback': 'Count feedback',
+    'settings.vibrate': 'Vibrate',
+    'settings.beep': 'Beep',
+    'settings.speak': 'Speak the new total',
+    'settings.testFeedback': 'Test feedback',
+    'settings.machine': 'Machine',
+    'settings.newProfile': 'New profile',
+    'settings.deleteProfile': 'Delete profile',
+    'settings.deleteConfirm': 'Delete the "{name}" profile?',
+    'settings.defaultProfileName': 'Machine {number}',
+    'settings.firstProfileName': 'Default machine',
+    'settings.unnamedProfile': 'Unnamed machine',
+    'settings.profileName': 'Profile name',
+    'settings.toleranceDeg': 'Tolerance (°)',
+    'settings.hysteresisDeg': 'Hysteresis (°)',
+    'settings.graveDwellMs': 'Grave dwell (ms)',
+    'settings.dumpDwellMs': 'Dump dwell (ms)',
+    'settings.minCycleMs': 'Min. cycle (ms)',
+    'settings.manualStep': 'Manual step (buckets)',
+    'settings.bucketCapacityYd3': 'Bucket capacity (yd³)',
+    'settings.truckCapacityBuckets': 'Truck capacity (buckets)',
+    'settings.requireDump': 'Only count when a dump is felt',
+    'settings.requireDumpHint': 'Uses the accelerometer; swings without one go to review',
+    'settings.dumpJoltMs2': 'Dump jolt (m/s²)',
+    'settings.save': 'Save',
+    'settings.saved': 'Saved.',
+    'dump.learn': 'Learn from dumps',
+    'dump.stop': 'Stop learning',
+    'dump.learning': 'Dig {count} buckets as usual while detecting; each dump is measured.',
+    'dump.progress': 'Measured {done} of {count} dumps…',
+    'dump.learned': 'Learned {jolt} m/s² from {count} dumps.',
+
+    // The original front end (../app.js)
+    'classic.instructionStart': 'Press Start to enable motion detection. Then set Grave and Truck positions.',
+    'classic.setPositions': 'Set Grave and Truck positions',
+    'classic.pointAndSet': 'Point at the grave and tap Set Grave, then at the truck and tap Set Truck.',
+    'classic.noHeading': 'No heading yet. Move the phone a little and try again.',
+    'classic.permissionDenied': 'Permission denied!',
+  };
+
+  const es = {
+    // Header and banners
+    'app.history': 'Historial',
+    'app.settings': 'Ajustes',
+    'app.back': 'Atrás',
+    'app.footer': 'PWA que funciona sin conexión.',
+    'theme.toLight': 'Cambiar a modo claro',
+    'theme.toDark': 'Cambiar a modo oscuro',
+    'update.available': 'Actualización disponible',
+    'update.afterGrave': 'Actualización disponible — se aplicará al terminar esta fosa',
+    'update.now': 'Actualizar ahora',
+    'storage.dismiss': 'Cerrar',
+    'storage.repaired': 'Algunos datos guardados no se pudieron leer y se restablecieron ({fields}). Toca para cerrar.',
+
+    // Resume prompt
+    'resume.title': '¿Continuar el trabajo?',
+    'resume.prompt': {
+      one: '¿Continuar el trabajo de las {time} — {count} cucharón?',
+      other: '¿Continuar el trabajo de las {time} — {count} cucharones?',
+    },
+    'resume.calibrated': 'calibrado',
+    'resume.notCalibrated': 'sin calibrar',
+    'resume.lastCount': 'último conteo {time}',
+    'resume.resume': 'Continuar',
+    'resume.startClean': 'Empezar trabajo nuevo',
+
+    // Counter
+    'compass.prompt': 'La brújula necesita calibrarse — mueve el teléfono en forma de 8',
+    'counter.total': 'Total',
+    'counter.backfilled': 'Rellenado',
+    'counter.phases': 'excavado {dug} / rellenado {backfilled}',
+    'mode.group': 'Fase',
+    'mode.dig': 'Excavar',
+    'mode.digTitle': 'Contar giros de la fosa al camión o al montón',
+    'mode.backfill': 'Rellenar',
+    'mode.backfillTitle': 'Contar giros del camión o del montón a la fosa al cerrarla',
+    'target.truck': 'Camión',
+    'target.pile': 'Montón',
+    'target.dirtPile': 'Montón de tierra',
+    'target.grave': 'Fosa',
+    'target.backfill': 'Relleno',
+    'target.truckTitle': 'Los ajustes manuales se aplican al conteo del camión',
+    'target.pileTitle': 'Los ajustes manuales se aplican al conteo del montón de tierra',
+    'truck.load': 'Camión {load} · {buckets} / {capacity} cucharones',
+    'truck.hauled': {
+      one: '{count} enviado',
+      other: '{count} enviados',
+    },
+    'truck.new': 'Camión nuevo',
+    'truck.full': 'Camión lleno — despáchalo y toca Camión nuevo',
+    'truck.fullSpoken': 'Camión lleno',
+    'manual.add': 'Sumar {step}',
+    'manual.subtract': 'Restar {step}',
+    'progress.of': 'de',
+    'progress.reached': 'Volumen objetivo alcanzado',
+    'progress.eta': 'Faltan unos {duration} a {rate} cucharones/h',
+    'progress.etaPending': 'El tiempo restante aparece tras unos cuantos cucharones',
+    'duration.seconds': '{seconds} s',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+    'grave.size': 'Tamaño de la fosa',
+    'grave.adult': 'Fosa estándar de adulto (8 × 3,5 × 6 pies)',
+    'grave.child': 'Fosa infantil (5 × 2,5 × 4 pies)',
+    'grave.cremation': 'Parcela de cremación (2 × 2 × 3 pies)',
+    'grave.custom': 'Tamaño personalizado',
+    'grave.length': 'Largo (pies)',
+    'grave.width': 'Ancho (pies)',
+    'grave.depth': 'Profundidad (pies)',
+
+    // Suspect swing review and the count log
+    'review.button': 'giro(s) por revisar',
+    'review.count': 'Contar',
+    'review.ignore': 'Ignorar',
+    'review.unreliable': '(datos poco fiables)',
+    'suspect.partial': 'Giro corto hacia {target}',
+    'suspect.overshoot': 'Se pasó de largo en {target}',
+    'suspect.shortDwell': 'No se detuvo en {target}',
+    'suspect.tooSoon': 'Demasiado pronto tras el último conteo en {target}',
+    'suspect.noGraveReturn': 'Sin volver a la fosa antes de ir hacia {target}',
+    'suspect.noDump': 'No se notó la descarga en {target}',
+    'suspect.nothingLoaded': 'Nada cargado antes de volver hacia {target}',
+    'suspect.truck': 'el camión',
+    'suspect.pile': 'el montón',
+    'suspect.backfill': 'la fosa (relleno)',
+    'log.title': 'Registro de conteos',
+    'log.newTruck': 'camión nuevo',
+    'log.unreliable': 'datos poco fiables',
+    'log.undo': 'Deshacer el último',
+    'source.manual': 'manual',
+    'source.auto': 'auto',
+    'source.review': 'revisión',
+    'source.undo': 'deshacer',
+
+    // Simulated sensors
+    'sim.title': 'Sensores simulados',
+    'sim.heading': 'Rumbo simulado',
+    'sim.help': 'Arrastra el dial o usa ← → (Mayús para 1°)',
+    'sim.swings': 'Giros',
+    'sim.run': 'Simular giros',
+    'sim.stop': 'Detener giros',
+    'sim.progress': 'Giro {swing} de {count}',
+
+    // Calibration and status
+    'instruction.start': 'Pulsa Iniciar para activar la detección de movimiento. Después fija las posiciones de la fosa, el montón y el camión.',
+    'instruction.moveDevice': 'Mueve el teléfono para iniciar los sensores…',
+    'instruction.autoCalibrate': 'Excava unos cuantos cucharones para calibrar automáticamente, o fija la posición del camión y/o del montón',
+    'instruction.setDump': 'Fija la posición del camión y/o del montón',
+    'instruction.setGrave': 'Fija la posición de la fosa',
+    'calibration.setTruck': 'Fijar camión',
+    'calibration.setPile': 'Fijar montón',
+    'calibration.setGrave': 'Fijar fosa',
+    'calibration.reset': 'Restablecer calibración',
+    'autocal.foundGrave': 'La calibración automática encontró la fosa en',
+    'autocal.andTruck': 'y el camión en',
+    'autocal.use': 'Usar estos',
+    'autocal.swap': 'Intercambiar',
+    'autocal.dismiss': 'Descartar',
+    'toggle.start': 'Iniciar',
+    'toggle.pause': 'Pausar',
+    'toggle.resume': 'Reanudar',
+    'status.label': 'Estado:',
+    'status.sensor': 'Sensor:',
+    'status.heading': 'Rumbo:',
+    'status.mount': 'Montaje:',
+    'status.machine': 'Máquina:',
+    'status.idle': 'En espera',
+    'status.initializing': 'Iniciando sensores…',
+    'status.readyToCalibrate': 'Listo para calibrar',
+    'status.detecting': 'Detectando…',
+    'status.detectingState': 'Detectando… ({state})',
+    'status.stale': 'Sin datos del sensor — en pausa hasta que vuelvan',
+    'status.permissionRequired': 'Se necesita permiso para leer el rumbo',
+    'status.noSensorData': 'Sin datos del sensor. Mueve el teléfono o toca Iniciar',
+    'status.permissionDenied': 'Permiso denegado. Toca Reintentar para volver a intentarlo o recarga la app para que vuelva a preguntar.',
+    'status.permissionGranted': 'Permisos concedidos. Ya puedes tocar Iniciar o continuar.',
+    'status.stillDenied': 'Sigue denegado. Puede que tengas que recargar y permitir el acceso.',
+    'swing.idle': 'esperando la fosa',
+    'swing.atGrave': 'en la fosa',
+    'swing.swingingOut': 'girando hacia fuera',
+    'swing.atTarget': 'descargando',
+    'swing.returning': 'regresando',
+    'backfillSwing.idle': 'esperando el camión o el montón',
+    'backfillSwing.atGrave': 'cargando',
+    'backfillSwing.swingingOut': 'girando hacia la fosa',
+    'backfillSwing.atTarget': 'rellenando la fosa',
+    'backfillSwing.returning': 'regresando',
+    'headingSource.compass': 'brújula',
+    'headingSource.fused': 'giroscopio + brújula',
+    'headingSource.gyro': 'solo giroscopio – brújula alterada',
+    'mount.flat': 'Plano',
+    'mount.landscape': 'Horizontal',
+    'mount.portrait': 'Vertical',
+    'mount.tilted': '{screen}, inclinado',
+    'health.ok': 'OK',
+    'health.okDetail': 'OK · {rate} Hz · ±{noise}°',
+    'health.stale': 'sin datos',
+    'health.slow': 'actualizaciones demasiado lentas',
+    'health.frozen': 'valores congelados',
+    'health.noisy': 'rumbo inestable',
+    'health.compass': 'la brújula necesita calibrarse',
+    'permissions.help': 'Se necesita acceso a Movimiento y Orientación. Si lo denegaste antes, toca Reintentar. Si no aparece la pregunta, recarga la app y permite el acceso cuando lo pida (quizá también tengas que activar Movimiento y Orientación en los ajustes del navegador).',
+    'permissions.retry': 'Reintentar',
+    'permissions.reload': 'Recargar app',
+
+    // The current job
+    'job.labelInput': 'Etiqueta de fosa / parcela (opcional)',
+    'job.labelPlaceholder': 'p. ej. Sección B, Fila 4, Parcela 12',
+    'job.details': 'Detalles del trabajo',
+    'job.newGrave': 'Nueva fosa',
+    'export.csv': 'Exportar CSV',
+    'export.json': 'Exportar JSON',
+    'export.title': 'Exportación de Bucket Counter',
+
+    // Tuning tools
+    'tuning.title': 'Herramientas de ajuste',
+    'tuning.recordHelp': 'Graba cada muestra del sensor mientras detecta y luego reproduce el archivo con otros ajustes.',
+    'recording.start': 'Grabar sesión',
+    'recording.stop': 'Detener y guardar grabación',
+    'recording.indicator': '● Grabando',
+    'recording.shareTitle': 'Sesión de sensores de Bucket Counter',
+    'replay.label': 'Reproducir una sesión grabada',
+    'replay.tolerance': 'Tolerancia (°)',
+    'replay.dwell': 'Permanencia (ms)',
+    'replay.run': 'Reproducir',
+    'replay.noFile': 'Primero elige un archivo de sesión grabada.',
+    'replay.result': 'Contaría {total} (camión {truck}, montón {pile}) con ±{tolerance}° / {graveDwell}–{dumpDwell} ms de permanencia.',
+    'replay.suspects': {
+      one: '{count} giro sospechoso.',
+      other: '{count} giros sospechosos.',
+    },
+    'replay.tally': 'Conteo del operador: {recorded}. {samples} muestras en {minutes} min.',
+    'replay.backfill': 'Rellenados {count}.',
+    'replay.noMotion': 'Esta grabación no tiene muestras de movimiento, así que no se pudieron comprobar las descargas: cada giro cuenta como si no se exigiera descarga.',
+    'replay.unreadable': 'No se pudo leer ese archivo como sesión grabada.',
+
+    // History and job details
+    'history.title': 'Historial de trabajos',
+    'history.scan': 'Escanear código QR de trabajo',
+    'history.unavailable': 'El historial no está disponible en este dispositivo.',
+    'history.empty': 'Aún no hay trabajos terminados.',
+    'history.buckets': {
+      one: '{count} cucharón',
+      other: '{count} cucharones',
+    },
+    'history.backfilled': '{count} rellenados',
+    'history.jobs': {
+      one: '{count} trabajo',
+      other: '{count} trabajos',
+    },
+    'history.unlabelled': 'Fosa sin etiqueta',
+    'history.truck': 'camión {count}',
+    'history.pile': 'montón {count}',
+    'history.scanned': 'escaneado',
+    'history.simulated': 'simulado',
+    'job.buckets': 'Cucharones',
+    'job.noDump': 'Giros sin descarga',
+    'job.truckLoads': 'Cargas de camión',
+    'job.bucketsPerLoad': 'Cucharones por carga',
+    'job.bucketsPerHour': 'Cucharones por hora',
+    'job.workingTime': 'Tiempo de trabajo',
+    'job.paused': 'En pausa',
+    'job.medianCycle': 'Ciclo mediano',
+    'job.averageCycle': 'Ciclo medio',
+    'job.fastestCycle': 'Ciclo más rápido',
+    'job.slowestCycle': 'Ciclo más lento',
+    'job.chart': 'Gráfico de cucharones por hora',
+    'job.gaps': 'Pausas más largas',
+    'job.noGaps': 'Aún no hay pausas.',
+    'job.showQr': 'Mostrar QR',
+    'job.qr': 'Código QR del resumen del trabajo',
+    'job.qrHelp': 'En el otro teléfono: Historial → Escanear código QR de trabajo. Funciona sin señal.',
+    'job.qrTooLong': 'Etiqueta demasiado larga para un código QR',
+    'scan.title': 'Escanear trabajo',
+    'scan.point': 'Apunta la cámara a un código QR de trabajo.',
+    'scan.invalid': 'Ese no es un código de trabajo de Bucket Counter.',
+    'scan.noCamera': 'Cámara no disponible. Permite el acceso a la cámara y vuelve a intentarlo.',
+
+    // Settings
+    'settings.language': 'Idioma',
+    'settings.languageAuto': 'Idioma del teléfono',
+    'settings.autoCalibrate': 'Calibrar automáticamente con los primeros giros y seguir al camión si se mueve',
+    'settings.feedback': 'Aviso de conteo',
+    'settings.vibrate': 'Vibrar',
+    'settings.beep': 'Pitido',
+    'settings.speak': 'Decir el nuevo total',
+    'settings.testFeedback': 'Probar aviso',
+    'settings.machine': 'Máquina',
+    'settings.newProfile': 'Nuevo perfil',
+    'settings.deleteProfile': 'Eliminar perfil',
+    'settings.deleteConfirm': '¿Eliminar el perfil «{name}»?',
+    'settings.defaultProfileName': 'Máquina {number}',
+    'settings.firstProfileName': 'Máquina predeterminada',
+    'settings.unnamedProfile': 'Máquina sin nombre',
+    'settings.profileName': 'Nombre del perfil',
+    'settings.toleranceDeg': 'Tolerancia (°)',
+    'settings.hysteresisDeg': 'Histéresis (°)',
+    'settings.graveDwellMs': 'Permanencia en la fosa (ms)',
+    'settings.dumpDwellMs': 'Permanencia al descargar (ms)',
+    'settings.minCycleMs': 'Ciclo mínimo (ms)',
+    'settings.manualStep': 'Paso manual (cucharones)',
+    'settings.bucketCapacityYd3': 'Capacidad del cucharón (yd³)',
+    'settings.truckCapacityBuckets': 'Capacidad del camión (cucharones)',
+    'settings.requireDump': 'Contar solo cuando se note la descarga',
+    'settings.requireDumpHint': 'Usa el acelerómetro; los giros sin descarga pasan a revisión',
+    'settings.dumpJoltMs2': 'Sacudida de descarga (m/s²)',
+    'settings.save': 'Guardar',
+    'settings.saved': 'Guardado.',
+    'dump.learn': 'Aprender de descargas',
+    'dump.stop': 'Dejar de aprender',
+    'dump.learning': 'Excava {count} cucharones como siempre mientras detecta; se mide cada descarga.',
+    'dump.progress': 'Medidas {done} de {count} descargas…',
+    'dump.learned': 'Aprendido: {jolt} m/s² de {count} descargas.',
+
+    // The original front end (../app.js)
+    'classic.instructionStart': 'Pulsa Iniciar para activar la detección de movimiento. Después fija las posiciones de la fosa y el camión.',
+    'classic.setPositions': 'Fija las posiciones de la fosa y el camión',
+    'classic.pointAndSet': 'Apunta a la fosa y toca Fijar fosa, luego al camión y toca Fijar camión.',
+    'classic.noHeading': 'Aún no hay rumbo. Mueve un poco el teléfono y vuelve a intentarlo.',
+    'classic.permissionDenied': '¡Permiso denegado!',
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.messages = { en, es };
+})();
@@ -0,0 +1,93 @@
+/*
+  Bucket Counter – Machine profiles
+  - Named sets of detection, manual-adjustment and capacity settings, one per machine
+  - Kept in the shared storage record (see storage.js); the active profile drives detection
+*/
+
+(function () {
+  'use strict';
+
+  const { DEFAULT_CONFIG } = self.BucketCounter.detector;
+  const storage = self.BucketCounter.storage;
+  const i18n = self.BucketCounter.i18n;
+
+  const SETTINGS_DEFAULTS = {
+    toleranceDeg: DEFAULT_CONFIG.toleranceDeg,
+    hysteresisDeg: DEFAULT_CONFIG.hysteresisDeg,
+    graveDwellMs: DEFAULT_CONFIG.graveDwellMs,
+    dumpDwellMs: DEFAULT_CONFIG.dumpDwellMs,
+    minCycleMs: DEFAULT_CONFIG.minCycleMs,
+    manualStep: 0.5,
+    bucketCapacityYd3: 0.25,
+    truckCapacityBuckets: 12, // buckets that fill one truck
+    requireDump: false, // only count a swing once the accelerometer felt a dump (see dump.js)
+    dumpJoltMs2: 2.5, // jolt that counts as a dump, m/s²
+  };
+
+  // Accepted range for each setting; values outside are clamped
+  const SETTINGS_LIMITS = {
+    toleranceDeg: { min: 3, max: 60 },
+    hysteresisDeg: { min: 0, max: 30 },
+    graveDwellMs: { min: 0, max: 5000 },
+    dumpDwellMs: { min: 0, max: 5000 },
+    minCycleMs: { min: 0, max: 30000 },
+    manualStep: { min: 0.25, max: 5 },
+    bucketCapacityYd3: { min: 0.01, max: 5 },
+    truckCapacityBuckets: { min: 1, max: 200 },
+    dumpJoltMs2: { min: 0.2, max: 30 },
+  };
+
+  const clamp = (value, limits) => Math.min(limits.max, Math.max(limits.min, value));
+
+  // Fill in missing or invalid values and clamp the rest
+  const sanitizeSettings = (settings) => {
+    const result = {};
+    Object.keys(SETTINGS_DEFAULTS).forEach((key) => {
+      const v = settings ? settings[key] : undefined;
+      if (typeof SETTINGS_DEFAULTS[key] === 'boolean') {
+        result[key] = typeof v === 'boolean' ? v : SETTINGS_DEFAULTS[key];
+        return;
+      }
+      const n = v === '' || v === null ? NaN : Number(v);
+      result[key] = Number.isFinite(n) ? clamp(n, SETTINGS_LIMITS[key]) : SETTINGS_DEFAULTS[key];
+    });
+    return result;
+  };
+
+  const newId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  const createProfile = (name, settings) => ({
+    id: newId(),
+    name: String(name || '').trim() || i18n.t('settings.unnamedProfile'),
+    settings: sanitizeSettings(settings),
+  });
+
+  const saveProfiles = (profiles, activeId) => {
+    storage.setMany({ 'settings.profiles': profiles, 'settings.activeProfileId': activeId });
+  };
+
+  // { profiles, activeId }; always at least one profile, seeded on first run
+  const loadProfiles = () => {
+    let profiles = storage.get('settings.profiles')
+      .map((p) => ({ id: p.id, name: String(p.name || i18n.t('settings.unnamedProfile')), settings: sanitizeSettings(p.settings) }));
+    if (profiles.length === 0) {
+      // Tuning saved before profiles existed seeds the first one (see storage.js)
+      profiles = [createProfile(i18n.t('settings.firstProfileName'), storage.get('settings.legacyTuning'))];
+      storage.set('settings.legacyTuning', null);
+    }
+    let activeId = storage.get('settings.activeProfileId');
+    if (!profiles.some((p) => p.id === activeId)) activeId = profiles[0].id;
+    saveProfiles(profiles, activeId);
+    return { profiles, activeId };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.profiles = {
+    loadProfiles,
+    saveProfiles,
+    createProfile,
+    sanitizeSettings,
+    SETTINGS_DEFAULTS,
+    SETTINGS_LIMITS,
+  };
+})();
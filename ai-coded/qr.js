@@ -0,0 +1,332 @@
+/*
+  Bucket Counter – QR code encoder
+  - Turns text into a QR code on the device (byte mode, error correction
+    level M, versions 1–15, up to 412 bytes), so job summaries can be handed
+    over with no network (see handoff.js)
+  - Draws the code onto a canvas with a quiet zone
+*/
+
+(function () {
+  'use strict';
+
+  // Level M per version: [EC codewords per block, blocks in group 1, data codewords
+  // per group-1 block, blocks in group 2, data codewords per group-2 block]
+  const BLOCKS_M = [
+    null,
+    [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0], [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44],
+    [30, 1, 50, 4, 51], [22, 6, 36, 2, 37], [22, 8, 37, 1, 38], [24, 4, 40, 5, 41], [24, 5, 41, 5, 42],
+  ];
+  const MAX_VERSION = BLOCKS_M.length - 1;
+
+  // Alignment pattern centres per version
+  const ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46],
+    [6, 28, 50], [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70],
+  ];
+
+  const EC_LEVEL_M = 0; // format bits for level M
+
+  // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+  const EXP = new Array(512);
+  const LOG = new Array(256);
+  (() => {
+    let x = 1;
+    for (let i = 0; i < 255; i += 1) {
+      EXP[i] = x;
+      LOG[x] = i;
+      x <<= 1;
+      if (x & 0x100) x ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i += 1) EXP[i] = EXP[i - 255];
+  })();
+
+  const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+  const generatorPoly = (degree) => {
+    let poly = [1];
+    for (let i = 0; i < degree; i += 1) {
+      const next = new Array(poly.length + 1).fill(0);
+      poly.forEach((c, j) => {
+        next[j] ^= c;
+        next[j + 1] ^= gfMul(c, EXP[i]);
+      });
+      poly = next;
+    }
+    return poly;
+  };
+
+  // Reed–Solomon error correction codewords for one block
+  const ecCodewords = (data, degree) => {
+    const gen = generatorPoly(degree);
+    const rem = new Array(degree).fill(0);
+    data.forEach((byte) => {
+      const factor = byte ^ rem.shift();
+      rem.push(0);
+      for (let i = 0; i < degree; i += 1) rem[i] ^= gfMul(gen[i + 1], factor);
+    });
+    return rem;
+  };
+
+  const dataCapacity = (version) => {
+    const [, n1, d1, n2, d2] = BLOCKS_M[version];
+    return n1 * d1 + n2 * d2;
+  };
+
+  const countBits = (version) => (version < 10 ? 8 : 16);
+
+  // Mode, length, data, terminator and padding as data codewords
+  const buildData = (bytes, version) => {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // byte mode
+    push(bytes.length, countBits(version));
+    bytes.forEach((b) => push(b, 8));
+    const capacityBits = dataCapacity(version) * 8;
+    push(0, Math.min(4, capacityBits - bits.length));
+    while (bits.length % 8) bits.push(0);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) codewords.push(pad);
+    return codewords;
+  };
+
+  // Split into blocks, add EC codewords and interleave
+  const buildCodewords = (data, version) => {
+    const [ecLength, n1, d1, n2, d2] = BLOCKS_M[version];
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < n1 + n2; i += 1) {
+      const length = i < n1 ? d1 : d2;
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      blocks.push({ data: block, ec: ecCodewords(block, ecLength) });
+    }
+    const result = [];
+    for (let i = 0; i < Math.max(d1, d2); i += 1) {
+      blocks.forEach((b) => { if (i < b.data.length) result.push(b.data[i]); });
+    }
+    for (let i = 0; i < ecLength; i += 1) blocks.forEach((b) => result.push(b.ec[i]));
+    return result;
+  };
+
+  // BCH remainder of value << (degree of poly) divided by poly
+  const bch = (value, poly, polyBits) => {
+    let rem = value << (polyBits - 1);
+    for (let i = 31 - Math.clz32(rem); i >= polyBits - 1; i -= 1) {
+      if ((rem >>> i) & 1) rem ^= poly << (i - polyBits + 1);
+    }
+    return rem;
+  };
+
+  const MASKS = [
+    (r, c) => (r + c) % 2 === 0,
+    (r) => r % 2 === 0,
+    (r, c) => c % 3 === 0,
+    (r, c) => (r + c) % 3 === 0,
+    (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+    (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+    (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+    (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0,
+  ];
+
+  const createGrid = (size) => ({
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+  });
+
+  const setFunction = (grid, r, c, dark) => {
+    if (r < 0 || c < 0 || r >= grid.size || c >= grid.size) return;
+    grid.modules[r][c] = dark;
+    grid.reserved[r][c] = true;
+  };
+
+  const drawFunctionPatterns = (grid, version) => {
+    const { size } = grid;
+    // Finder patterns with their separators
+    [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([top, left]) => {
+      for (let r = -1; r <= 7; r += 1) {
+        for (let c = -1; c <= 7; c += 1) {
+          const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+          setFunction(grid, top + r, left + c, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+    // Timing patterns
+    for (let i = 8; i < size - 8; i += 1) {
+      setFunction(grid, 6, i, i % 2 === 0);
+      setFunction(grid, i, 6, i % 2 === 0);
+    }
+    // Alignment patterns, skipping the three corners taken by finders
+    const centres = ALIGNMENT[version];
+    const last = centres.length - 1;
+    centres.forEach((r, i) => centres.forEach((c, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dr = -2; dr <= 2; dr += 1) {
+        for (let dc = -2; dc <= 2; dc += 1) {
+          setFunction(grid, r + dr, c + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+        }
+      }
+    }));
+    // Dark module and space for format and version information
+    setFunction(grid, size - 8, 8, true);
+    for (let i = 0; i < 9; i += 1) {
+      if (!grid.reserved[8][i]) setFunction(grid, 8, i, false);
+      if (!grid.reserved[i][8]) setFunction(grid, i, 8, false);
+    }
+    for (let i = 0; i < 8; i += 1) {
+      setFunction(grid, 8, size - 1 - i, false);
+      if (!grid.reserved[size - 1 - i][8]) setFunction(grid, size - 1 - i, 8, false);
+    }
+    if (version >= 7) {
+      const bits = (version << 12) | bch(version, 0x1f25, 13);
+      for (let i = 0; i < 18; i += 1) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        setFunction(grid, a, b, dark);
+        setFunction(grid, b, a, dark);
+      }
+    }
+  };
+
+  const drawFormatBits = (grid, mask) => {
+    const { size } = grid;
+    const data = (EC_LEVEL_M << 3) | mask;
+    const bits = ((data << 10) | bch(data, 0x537, 11)) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i += 1) grid.modules[i][8] = bit(i);
+    grid.modules[7][8] = bit(6);
+    grid.modules[8][8] = bit(7);
+    grid.modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i += 1) grid.modules[8][14 - i] = bit(i);
+    for (let i = 0; i < 8; i += 1) grid.modules[8][size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i += 1) grid.modules[size - 15 + i][8] = bit(i);
+    grid.modules[size - 8][8] = true;
+  };
+
+  // Zigzag placement from the bottom-right corner, two columns at a time
+  const placeCodewords = (grid, codewords) => {
+    const { size } = grid;
+    let bitIndex = 0;
+    const totalBits = codewords.length * 8;
+    let upward = true;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let step = 0; step < size; step += 1) {
+        const r = upward ? size - 1 - step : step;
+        for (let dc = 0; dc < 2; dc += 1) {
+          const c = right - dc;
+          if (grid.reserved[r][c]) continue;
+          let dark = false;
+          if (bitIndex < totalBits) dark = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          grid.modules[r][c] = dark;
+          bitIndex += 1;
+        }
+      }
+      upward = !upward;
+    }
+  };
+
+  const applyMask = (grid, mask) => {
+    const fn = MASKS[mask];
+    for (let r = 0; r < grid.size; r += 1) {
+      for (let c = 0; c < grid.size; c += 1) {
+        if (!grid.reserved[r][c] && fn(r, c)) grid.modules[r][c] = !grid.modules[r][c];
+      }
+    }
+  };
+
+  // Penalty score from the four rules in the QR specification
+  const penalty = (modules) => {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i += 1) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && line[i] === line[i - 1]) {
+          run += 1;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map((m) => (m ? '1' : '0')).join('');
+      let from = 0;
+      for (;;) {
+        const a = text.indexOf('10111010000', from);
+        const b = text.indexOf('00001011101', from);
+        const next = [a, b].filter((i) => i >= 0);
+        if (next.length === 0) break;
+        score += 40;
+        from = Math.min(...next) + 1;
+      }
+    });
+    let dark = 0;
+    for (let r = 0; r < size; r += 1) {
+      for (let c = 0; c < size; c += 1) {
+        if (modules[r][c]) dark += 1;
+        if (r < size - 1 && c < size - 1) {
+          const m = modules[r][c];
+          if (m === modules[r][c + 1] && m === modules[r + 1][c] && m === modules[r + 1][c + 1]) score += 3;
+        }
+      }
+    }
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  };
+
+  /*
+    Encode text (UTF-8) into the smallest version that fits.
+    Returns { version, size, modules } where modules[row][col] is true for dark.
+    Throws when the text is too long.
+  */
+  const encodeQr = (text) => {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + countBits(version) + bytes.length * 8 > dataCapacity(version) * 8) version += 1;
+    if (version > MAX_VERSION) throw new Error('qr-too-long');
+    const codewords = buildCodewords(buildData(bytes, version), version);
+    const size = version * 4 + 17;
+    let best = null;
+    MASKS.forEach((_, mask) => {
+      const grid = createGrid(size);
+      drawFunctionPatterns(grid, version);
+      placeCodewords(grid, codewords);
+      applyMask(grid, mask);
+      drawFormatBits(grid, mask);
+      const score = penalty(grid.modules);
+      if (!best || score < best.score) best = { score, modules: grid.modules };
+    });
+    return { version, size, modules: best.modules };
+  };
+
+  // Draw a code with a 4-module quiet zone, as large as fits the canvas's CSS box
+  const drawQr = (canvas, qr, options) => {
+    const { dark = '#000000', light = '#ffffff', margin = 4 } = options || {};
+    const ratio = self.devicePixelRatio || 1;
+    const cssSize = canvas.clientWidth || 256;
+    const total = qr.size + margin * 2;
+    const scale = Math.max(1, Math.floor((cssSize * ratio) / total));
+    canvas.width = total * scale;
+    canvas.height = total * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = light;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = dark;
+    qr.modules.forEach((row, r) => row.forEach((on, c) => {
+      if (on) ctx.fillRect((c + margin) * scale, (r + margin) * scale, scale, scale);
+    }));
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.qr = { encodeQr, drawQr, MAX_VERSION };
+})();
@@ -0,0 +1,241 @@
+/*
+  Bucket Counter – Sensor session recorder
+  - Records every orientation and motion sample plus count changes while
+    detecting, with the mode, the profile's tuning and calibration, and any
+    change to the mode or calibration along the way
+  - Replays a recorded session through the same core as live detection (see
+    core.js) with alternative settings, to tune tolerance/dwell away from the site
+  - Sessions from before motion samples were kept (version 1) replay without dump
+    confirmation; the result says so
+*/
+
+(function () {
+  'use strict';
+
+  const FORMAT = 'bucket-counter-session';
+  const FORMAT_VERSION = 2;
+  // Samples are stored as arrays in this column order to keep files small
+  const SAMPLE_FIELDS = ['t', 'alpha', 'beta', 'gamma', 'webkitCompassHeading', 'heading'];
+  // accelerationIncludingGravity, for the dump signature (see dump.js)
+  const MOTION_FIELDS = ['t', 'x', 'y', 'z'];
+
+  // Why a replay may not match the live run
+  const REPLAY_WARNINGS = {
+    noMotion: 'no-motion', // dumps were required but the session has no motion samples
+  };
+
+  const round = (value, places) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+    const f = Math.pow(10, places);
+    return Math.round(value * f) / f;
+  };
+
+  const createRecorder = () => {
+    let session = null;
+    let startTs = 0;
+
+    const isRecording = () => session !== null;
+
+    // meta: { settings, calibration, mode } at the moment recording starts
+    const start = (meta) => {
+      startTs = Date.now();
+      session = {
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        startedAt: new Date(startTs).toISOString(),
+        settings: meta.settings,
+        calibration: meta.calibration,
+        mode: meta.mode,
+        sampleFields: SAMPLE_FIELDS,
+        samples: [],
+        motionFields: MOTION_FIELDS,
+        motion: [],
+        changes: [],
+        countEvents: [],
+      };
+    };
+
+    const addSample = (event, headingDeg) => {
+      if (!session) return;
+      session.samples.push([
+        Date.now() - startTs,
+        round(event.alpha, 2),
+        round(event.beta, 2),
+        round(event.gamma, 2),
+        round(event.webkitCompassHeading, 2),
+        round(headingDeg, 2),
+      ]);
+    };
+
+    // A devicemotion event; only its accelerometer reading is kept
+    const addMotion = (event) => {
+      const a = event.accelerationIncludingGravity;
+      if (!session || !a) return;
+      session.motion.push([Date.now() - startTs, round(a.x, 3), round(a.y, 3), round(a.z, 3)]);
+    };
+
+    // change: { mode } or { calibration } as it changed during the session
+    const addChange = (change) => {
+      if (!session) return;
+      session.changes.push({ t: Date.now() - startTs, ...change });
+    };
+
+    // Count changes (auto, manual, undo) so replays can be compared to the real tally
+    const addCountEvent = (countEvent) => {
+      if (!session) return;
+      session.countEvents.push({
+        t: Date.now() - startTs,
+        source: countEvent.source,
+        target: countEvent.target,
+        delta: countEvent.delta,
+      });
+    };
+
+    // finalCounts: the operator's tally ({ truck, pile, backfill }) when recording stopped
+    const stop = (finalCounts) => {
+      if (!session) return null;
+      const finished = session;
+      finished.durationMs = Date.now() - startTs;
+      finished.finalCounts = finalCounts;
+      session = null;
+      return finished;
+    };
+
+    return { isRecording, start, addSample, addMotion, addChange, addCountEvent, stop };
+  };
+
+  const sessionToFile = (session) => {
+    const stamp = session.startedAt.replace(/[:.]/g, '-');
+    return new File([JSON.stringify(session)], `bucket-counter-session-${stamp}.json`, { type: 'application/json' });
+  };
+
+  const parseSession = (text) => {
+    const session = JSON.parse(text);
+    if (!session || session.format !== FORMAT || !Array.isArray(session.samples)) {
+      throw new Error('not-a-session-file');
+    }
+    return session;
+  };
+
+  // In-memory stand-in for storage.js, so a replay never touches the saved job
+  const memoryStore = () => {
+    const values = {
+      truckCount: 0,
+      pileCount: 0,
+      backfillCount: 0,
+      graveHeading: NaN,
+      truckHeading: NaN,
+      dirtPileHeading: NaN,
+      'job.mode': 'dig',
+      'job.events': [],
+    };
+    return {
+      get: (path) => values[path],
+      set: (path, value) => { values[path] = value; },
+      setMany: (changes) => Object.assign(values, changes),
+    };
+  };
+
+  // Columns of a recorded row by name
+  const rowReader = (fields, defaults) => {
+    const names = fields || defaults;
+    return (row) => {
+      const result = {};
+      names.forEach((name, i) => { result[name] = row[i]; });
+      return result;
+    };
+  };
+
+  /*
+    Feed a recorded session through a fresh core on the session's own clock: the
+    mode, dump confirmation (requireDump) and stalled-stream handling work as they
+    did live, and calibration or mode changes are applied when they happened.
+    overrides: { toleranceDeg, hysteresisDeg, graveDwellMs, dumpDwellMs, minCycleMs, graveHeading, truckHeading, pileHeading }
+    Missing overrides fall back to the values stored in the session, then to detector defaults;
+    an overridden heading also wins over calibration changes in the session.
+  */
+  const replay = (session, overrides) => {
+    const { DEFAULT_CONFIG } = self.BucketCounter.detector;
+    const { createCore } = self.BucketCounter.core;
+    const settings = session.settings || {};
+    const pick = (key, fallback) => {
+      const v = overrides && overrides[key];
+      if (typeof v === 'number' && Number.isFinite(v)) return v;
+      return typeof fallback === 'number' ? fallback : NaN;
+    };
+    const tuning = {
+      toleranceDeg: pick('toleranceDeg', settings.toleranceDeg ?? DEFAULT_CONFIG.toleranceDeg),
+      hysteresisDeg: pick('hysteresisDeg', settings.hysteresisDeg ?? DEFAULT_CONFIG.hysteresisDeg),
+      graveDwellMs: pick('graveDwellMs', settings.graveDwellMs ?? DEFAULT_CONFIG.graveDwellMs),
+      dumpDwellMs: pick('dumpDwellMs', settings.dumpDwellMs ?? DEFAULT_CONFIG.dumpDwellMs),
+      minCycleMs: pick('minCycleMs', settings.minCycleMs ?? DEFAULT_CONFIG.minCycleMs),
+      requireDump: Boolean(settings.requireDump),
+      dumpJoltMs2: settings.dumpJoltMs2,
+    };
+    const calibrationOf = (calibration) => ({
+      graveHeading: pick('graveHeading', calibration.graveHeading),
+      truckHeading: pick('truckHeading', calibration.truckHeading),
+      pileHeading: pick('pileHeading', calibration.pileHeading),
+    });
+    const config = { ...calibrationOf(session.calibration || {}), ...tuning };
+
+    let clock = 1; // the core treats a zero timestamp as "no sample yet"
+    const core = createCore({ storage: memoryStore(), now: () => clock });
+    const detections = [];
+    const suspects = [];
+    core.subscribe((type, detail) => {
+      if (type === 'count') detections.push({ t: clock - 1, target: detail.target });
+      else if (type === 'suspect') suspects.push({ t: clock - 1, target: detail.target, reason: detail.reason });
+    });
+    const calibrate = (calibration) => {
+      const headings = calibrationOf(calibration);
+      core.setTarget('grave', headings.graveHeading);
+      core.setTarget('truck', headings.truckHeading);
+      core.setTarget('pile', headings.pileHeading);
+    };
+    core.setDetectionConfig(tuning);
+    core.setMode(session.mode);
+    calibrate(session.calibration || {});
+    core.setRunning(true);
+
+    // One timeline of changes, orientation and motion samples; changes first at the same time
+    const readSample = rowReader(session.sampleFields, SAMPLE_FIELDS);
+    const readMotion = rowReader(session.motionFields, MOTION_FIELDS);
+    const motion = Array.isArray(session.motion) ? session.motion : [];
+    const timeline = []
+      .concat((session.changes || []).map((change) => ({ t: change.t, change })))
+      .concat(session.samples.map(readSample).map((sample) => ({ t: sample.t, sample })))
+      .concat(motion.map(readMotion).map((reading) => ({ t: reading.t, motion: reading })))
+      .sort((a, b) => a.t - b.t);
+    timeline.forEach((entry) => {
+      clock = entry.t + 1;
+      if (entry.change) {
+        if (entry.change.mode) core.setMode(entry.change.mode);
+        if (entry.change.calibration) calibrate(entry.change.calibration);
+      } else if (entry.sample) {
+        const { heading, ...event } = entry.sample;
+        if (typeof heading === 'number') core.onHeading(heading, event);
+      } else {
+        const { x, y, z } = entry.motion;
+        core.onMotion({ accelerationIncludingGravity: { x, y, z } });
+      }
+    });
+
+    const warnings = [];
+    if (tuning.requireDump && !motion.length) warnings.push(REPLAY_WARNINGS.noMotion);
+    const { truckCount, pileCount, backfillCount } = core.getState();
+    const recorded = session.finalCounts || { truck: 0, pile: 0 };
+    return {
+      config,
+      counts: { truck: truckCount, pile: pileCount, backfill: backfillCount },
+      total: truckCount + pileCount,
+      recordedTotal: (recorded.truck || 0) + (recorded.pile || 0),
+      detections,
+      suspects,
+      warnings,
+    };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.recorder = { createRecorder, sessionToFile, parseSession, replay, REPLAY_WARNINGS };
+})();
@@ -0,0 +1,157 @@
+/*
+  Bucket Counter – Simulated sensors
+  - Stands in for the phone's orientation sensor on a laptop or for indoor
+    training: a steady stream of headings set by hand or by a swing script
+  - The app turns each heading into an orientation event on the same listeners
+    as real ones, so calibration, detection and everything after run unchanged
+  - Scripted swings go from the loading end to a dump target and back at random
+    speeds, pausing at each end long enough for the detector to see them
+*/
+
+(function () {
+  'use strict';
+
+  const { clampDeg, signedDelta } = self.BucketCounter.angles;
+  const { DEFAULT_CONFIG } = self.BucketCounter.detector;
+
+  const SCRIPT_DEFAULTS = {
+    dwellMs: [600, 1100], // pause at each end of a swing
+    swingMs: [500, 2000], // time for one leg of a swing
+    noiseDeg: 0.5, // sensor jitter added to every sample
+    marginMs: 300, // slack over the detector's dwell and cycle times
+  };
+
+  // Ease in and out so a swing speeds up and slows down like a real boom
+  const ease = (p) => p * p * (3 - 2 * p);
+
+  /*
+    Orientation event for a phone lying flat with its top edge at headingDeg,
+    i.e. the inverse of orientationToHeading in heading.js for a flat mount
+  */
+  const toOrientationEvent = (type, headingDeg, screenAngleDeg) => {
+    const init = { alpha: clampDeg((screenAngleDeg || 0) - headingDeg), beta: 0, gamma: 0, absolute: true };
+    if (typeof self.DeviceOrientationEvent === 'function') {
+      try {
+        return new self.DeviceOrientationEvent(type, init);
+      } catch (_) {
+        // Some browsers expose the interface without a constructor
+      }
+    }
+    return Object.assign(new Event(type), init);
+  };
+
+  /*
+    options: { onSample(headingDeg), intervalMs, now, random }
+    Samples are sent every intervalMs between start() and stop(), whether the
+    heading is being set by hand or by a script.
+  */
+  const createSimulator = (options) => {
+    const { onSample, intervalMs = 50, now = () => Date.now(), random = Math.random } = options;
+    let heading = 0;
+    let timer = null;
+    // Running swing script: { legs: [{ from, to, ms, swing }], startedAt, count }
+    let script = null;
+
+    const between = ([min, max]) => min + random() * (max - min);
+
+    const headingNow = () => {
+      if (!script) return heading;
+      let t = now() - script.startedAt;
+      const leg = script.legs.find((l) => {
+        if (t < l.ms) return true;
+        t -= l.ms;
+        return false;
+      });
+      if (!leg) {
+        heading = script.legs[script.legs.length - 1].to;
+        script = null;
+        return heading;
+      }
+      heading = clampDeg(leg.from + signedDelta(leg.to, leg.from) * ease(t / leg.ms));
+      script.swing = leg.swing;
+      return heading;
+    };
+
+    const tick = () => {
+      const jitter = (random() * 2 - 1) * SCRIPT_DEFAULTS.noiseDeg;
+      onSample(clampDeg(headingNow() + jitter));
+    };
+
+    const start = () => {
+      if (timer) return;
+      timer = setInterval(tick, intervalMs);
+    };
+
+    const stop = () => {
+      clearInterval(timer);
+      timer = null;
+    };
+
+    // Setting the heading by hand ends a running script
+    const setHeading = (deg) => {
+      if (!Number.isFinite(deg)) return;
+      script = null;
+      heading = clampDeg(deg);
+    };
+
+    const nudge = (deltaDeg) => setHeading(headingNow() + deltaDeg);
+
+    /*
+      Swing count times from the `from` heading to one of `targets` (picked at
+      random each swing) and back, starting from the current heading.
+      detection holds the detector's graveDwellMs, dumpDwellMs and minCycleMs
+      (defaults from detector.js); every pause outlasts its dwell and no two
+      dumps come closer than minCycleMs, so each swing should count.
+    */
+    const runSwings = ({ from, targets, count, detection }) => {
+      if (!Number.isFinite(from) || !targets.length || !(count > 0)) return;
+      const { graveDwellMs, dumpDwellMs, minCycleMs } = Object.assign({}, DEFAULT_CONFIG, detection);
+      const dwell = (detectorMs) => Math.max(between(SCRIPT_DEFAULTS.dwellMs), detectorMs + SCRIPT_DEFAULTS.marginMs);
+      const legs = [];
+      let at = headingNow();
+      const leg = (to, ms, swing) => {
+        legs.push({ from: at, to, ms, swing });
+        at = to;
+      };
+      leg(from, between(SCRIPT_DEFAULTS.swingMs), 1);
+      // Time from the last dump to leaving the grave again; the cab is back in the
+      // dump zone no sooner than that after it arrived for the previous dump
+      let sinceDump = Infinity;
+      for (let swing = 1; swing <= count; swing += 1) {
+        const to = targets[Math.floor(random() * targets.length)];
+        const atGrave = dwell(graveDwellMs);
+        leg(from, Math.max(atGrave, minCycleMs + SCRIPT_DEFAULTS.marginMs - sinceDump), swing);
+        leg(to, between(SCRIPT_DEFAULTS.swingMs), swing);
+        const atDump = dwell(dumpDwellMs);
+        const back = between(SCRIPT_DEFAULTS.swingMs);
+        leg(to, atDump, swing);
+        leg(from, back, swing);
+        sinceDump = atDump + back;
+      }
+      leg(from, dwell(graveDwellMs), count);
+      script = { legs, startedAt: now(), count, swing: 1 };
+    };
+
+    const stopSwings = () => {
+      if (script) setHeading(headingNow());
+    };
+
+    // { swing, count } while a script runs, else null
+    const getScript = () => (script ? { swing: script.swing, count: script.count } : null);
+
+    return {
+      start,
+      stop,
+      isRunning: () => Boolean(timer),
+      setHeading,
+      nudge,
+      getHeading: () => heading,
+      runSwings,
+      stopSwings,
+      getScript,
+    };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.simulator = { createSimulator, toOrientationEvent, SCRIPT_DEFAULTS };
+})();
@@ -0,0 +1,256 @@
+/*
+  Bucket Counter – Storage
+  - One versioned record in localStorage ('bc.state') instead of loose bc.* keys
+  - Shape follows the spec's example config (graveHeading, dirtPileHeading,
+    truckHeading, counter) with the job and settings alongside
+  - Migrates the loose keys of older installs on first load, then removes them
+  - Every field is validated on load and on write; corrupt values fall back to
+    their defaults and a corrupt record is kept aside in 'bc.state.corrupt'
+  - Shared by both front ends; nothing else should touch localStorage. Settings
+    are shared, but each app has its own job, counts and calibration (see scoped)
+*/
+
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'bc.state';
+  const CORRUPT_KEY = 'bc.state.corrupt';
+  const SCHEMA_VERSION = 1;
+
+  // Field checks: each returns the value to keep, or undefined when it is unusable
+  const number = (min, max) => (v) => (typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max ? v : undefined);
+  // Headings are NaN when unset in memory and null in JSON
+  const heading = (v) => {
+    if (v === null || (typeof v === 'number' && Number.isNaN(v))) return NaN;
+    return typeof v === 'number' && Number.isFinite(v) ? ((v % 360) + 360) % 360 : undefined;
+  };
+  const bool = (v) => (typeof v === 'boolean' ? v : undefined);
+  const string = (v) => (typeof v === 'string' ? v : undefined);
+  const oneOf = (...values) => (v) => (values.indexOf(v) >= 0 ? v : undefined);
+  const plainObject = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : undefined);
+  const nullable = (check) => (v) => (v === null ? null : check(v));
+  // Arrays keep the entries that pass; a non-array is unusable
+  const listOf = (check) => (v) => (Array.isArray(v) ? v.filter((item) => check(item) !== undefined) : undefined);
+
+  const isEvent = (e) => (plainObject(e) && Number.isFinite(e.ts) && Number.isFinite(e.delta) ? e : undefined);
+  const isSuspect = (s) => (plainObject(s) && typeof s.id === 'string' && Number.isFinite(s.ts) ? s : undefined);
+  const isPause = (p) => (plainObject(p) && Number.isFinite(p.start) && (p.end === null || Number.isFinite(p.end)) ? p : undefined);
+  const isProfile = (p) => (plainObject(p) && typeof p.id === 'string' ? p : undefined);
+  const session = (v) => (plainObject(v) && typeof v.hasActivated === 'boolean' && typeof v.running === 'boolean' ? v : undefined);
+  const feedbackChannels = (v) => {
+    if (!plainObject(v)) return undefined;
+    return ['vibrate', 'beep', 'speak'].every((k) => typeof v[k] === 'boolean') ? v : undefined;
+  };
+
+  // path -> [check, default]; `counter` (buckets dug) is derived from the truck and pile
+  // counts on every write (see withCounter)
+  const FIELDS = {
+    graveHeading: [heading, NaN],
+    dirtPileHeading: [heading, NaN],
+    truckHeading: [heading, NaN],
+    truckCount: [number(0, 1e6), 0],
+    pileCount: [number(0, 1e6), 0],
+    backfillCount: [number(0, 1e6), 0],
+    selectedTarget: [oneOf('truck', 'pile'), 'truck'],
+    'job.startedAt': [number(0, Infinity), 0],
+    'job.label': [string, ''],
+    'job.events': [listOf(isEvent), []],
+    'job.suspects': [listOf(isSuspect), []],
+    'job.pauses': [listOf(isPause), []],
+    'job.target': [nullable(plainObject), null],
+    'job.session': [nullable(session), null],
+    'job.mode': [oneOf('dig', 'backfill'), 'dig'],
+    'settings.autoCalibrate': [bool, true],
+    'settings.feedback': [feedbackChannels, { vibrate: true, beep: true, speak: false }],
+    'settings.profiles': [listOf(isProfile), []],
+    'settings.activeProfileId': [nullable(string), null],
+    // null follows the phone's language (see i18n.js)
+    'settings.language': [nullable(string), null],
+    // null follows the system's light/dark preference (see index.html)
+    'settings.theme': [nullable(oneOf('light', 'dark')), null],
+    // Tuning from before machine profiles; seeds the first profile (see profiles.js)
+    'settings.legacyTuning': [nullable(plainObject), null],
+  };
+
+  // The original front end (../app.js) keeps its job, counts and calibration under
+  // 'classic', so neither app resumes or resets the other's job
+  const SCOPES = ['classic'];
+  const SCOPED_FIELDS = Object.keys(FIELDS).filter((path) => path.indexOf('settings.') !== 0);
+  SCOPES.forEach((scope) => SCOPED_FIELDS.forEach((path) => { FIELDS[`${scope}.${path}`] = FIELDS[path]; }));
+
+  const JOB_FIELDS = Object.keys(FIELDS).filter((path) => path.indexOf('job.') === 0);
+
+  const clone = (v) => (v && typeof v === 'object' ? JSON.parse(JSON.stringify(v)) : v);
+
+  const readPath = (obj, path) => path.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+
+  const writePath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, k) => {
+      if (!plainObject(o[k])) o[k] = {};
+      return o[k];
+    }, obj);
+    parent[last] = value;
+  };
+
+  // The spec's `counter` alongside the truck and pile counts it sums, at the top
+  // level and in each scope
+  const withCounter = (state) => {
+    [state].concat(SCOPES.map((scope) => state[scope])).forEach((counts) => {
+      counts.counter = counts.truckCount + counts.pileCount;
+    });
+    return state;
+  };
+
+  // Valid record built from raw data; paths that had to be reset are added to `repairs`
+  const validate = (raw, repairs) => {
+    const state = { schemaVersion: SCHEMA_VERSION };
+    Object.keys(FIELDS).forEach((path) => {
+      const [check, fallback] = FIELDS[path];
+      const value = readPath(raw, path);
+      const valid = value === undefined ? undefined : check(value);
+      if (value !== undefined && valid === undefined) repairs.push(path);
+      writePath(state, path, valid === undefined ? clone(fallback) : valid);
+    });
+    return withCounter(state);
+  };
+
+  // Loose keys written before this schema existed
+  const LEGACY_KEYS = {
+    counter: 'bc.counter',
+    graveHeading: 'bc.graveHeading',
+    truckHeading: 'bc.truckHeading',
+    tolerance: 'bc.tolerance',
+    debounceMs: 'bc.debounceMs',
+    theme: 'theme',
+  };
+
+  // Gather the loose keys into one record
+  const migrateLegacyKeys = (storage) => {
+    const text = (key) => storage.getItem(LEGACY_KEYS[key]);
+    // Older builds saved NaN and other junk as strings; treat them as missing
+    const num = (key) => {
+      const v = text(key);
+      const n = v === null || v === '' ? NaN : Number(v);
+      return Number.isFinite(n) ? n : undefined;
+    };
+    const tuning = { toleranceDeg: num('tolerance'), minCycleMs: num('debounceMs') };
+    const hasTuning = Object.keys(tuning).some((k) => tuning[k] !== undefined);
+    return {
+      graveHeading: num('graveHeading'),
+      truckHeading: num('truckHeading'),
+      // Installs from before the dirt pile only have the total; treat it as truck loads
+      truckCount: num('counter'),
+      settings: {
+        theme: text('theme') || undefined,
+        legacyTuning: hasTuning ? tuning : undefined,
+      },
+    };
+  };
+
+  let storage = null;
+  let state = null;
+  let repairs = [];
+
+  const persist = () => {
+    withCounter(state);
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (_) {
+      // Quota or private mode: keep working from memory
+    }
+  };
+
+  const load = (backend) => {
+    storage = backend || self.localStorage;
+    repairs = [];
+    let raw = null;
+    const text = storage.getItem(STORAGE_KEY);
+    if (text !== null) {
+      try {
+        raw = plainObject(JSON.parse(text)) || null;
+      } catch (_) {
+        raw = null;
+      }
+      if (!raw) {
+        storage.setItem(CORRUPT_KEY, text);
+        repairs.push(STORAGE_KEY);
+      }
+    }
+    const legacy = text === null;
+    if (legacy) raw = migrateLegacyKeys(storage);
+    // Fields written by a newer version are dropped; known ones are kept
+    state = validate(raw || {}, repairs);
+    persist();
+    if (legacy) Object.keys(LEGACY_KEYS).forEach((key) => storage.removeItem(LEGACY_KEYS[key]));
+    return state;
+  };
+
+  const ensureLoaded = () => {
+    if (!state) load();
+  };
+
+  const field = (path) => {
+    if (!FIELDS[path]) throw new Error(`Unknown storage field: ${path}`);
+    return FIELDS[path];
+  };
+
+  // Current value of a field (a copy for objects and arrays)
+  const get = (path) => {
+    field(path);
+    ensureLoaded();
+    return clone(readPath(state, path));
+  };
+
+  // Validate and save one field; an invalid value resets it to its default
+  const set = (path, value) => {
+    const [check, fallback] = field(path);
+    ensureLoaded();
+    const valid = value === undefined ? undefined : check(clone(value));
+    writePath(state, path, valid === undefined ? clone(fallback) : valid);
+    persist();
+  };
+
+  // Several fields in one write: { path: value }
+  const setMany = (values) => {
+    ensureLoaded();
+    Object.keys(values).forEach((path) => {
+      const [check, fallback] = field(path);
+      const valid = values[path] === undefined ? undefined : check(clone(values[path]));
+      writePath(state, path, valid === undefined ? clone(fallback) : valid);
+    });
+    persist();
+  };
+
+  // Back to an empty job; calibration, counts and settings are left to the caller.
+  // prefix is a scope's 'name.' (see scoped)
+  const resetJob = (prefix = '') => {
+    ensureLoaded();
+    JOB_FIELDS.forEach((path) => writePath(state, prefix + path, clone(FIELDS[path][1])));
+    persist();
+  };
+
+  // The same get/set/setMany/resetJob over one app's own job fields (see SCOPES);
+  // settings.* paths still read and write the shared settings
+  const scoped = (scope) => {
+    if (SCOPES.indexOf(scope) < 0) throw new Error(`Unknown storage scope: ${scope}`);
+    const scopedPath = (path) => (path.indexOf('settings.') === 0 ? path : `${scope}.${path}`);
+    return {
+      get: (path) => get(scopedPath(path)),
+      set: (path, value) => set(scopedPath(path), value),
+      setMany: (values) => {
+        const paths = {};
+        Object.keys(values).forEach((path) => { paths[scopedPath(path)] = values[path]; });
+        setMany(paths);
+      },
+      resetJob: () => resetJob(`${scope}.`),
+    };
+  };
+
+  // Fields that were corrupt on load and reset to their defaults
+  const getRepairs = () => repairs.slice();
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.storage = { SCHEMA_VERSION, STORAGE_KEY, load, get, set, setMany, resetJob, scoped, getRepairs };
+})();
@@ -1,15 +1,57 @@
-const CACHE_NAME = 'bucket-counter-cache-v2';
+/*
+  Bucket Counter – Service worker
+  - Precaches every asset of one release under a versioned cache, including the
+    Tailwind CDN script and the icons, so a first launch with no signal works
+  - Serves that release from the cache; a new release installs alongside and
+    waits until the page asks it to take over (see update.js)
+  - Bump CACHE_VERSION whenever any precached file changes; tests/sw.test.js fails
+    until it is
+*/
+
+const CACHE_VERSION = 29;
+const CACHE_NAME = `bucket-counter-cache-v${CACHE_VERSION}`;
 const OFFLINE_ASSETS = [
   './',
   './index.html',
   './app.js',
-  './manifest.webmanifest'
-  // Icons are not strictly necessary to cache; add if desired: './icons/icon-192.png', './icons/icon-512.png'
+  './storage.js',
+  './messages.js',
+  './i18n.js',
+  './angles.js',
+  './heading.js',
+  './detector.js',
+  './health.js',
+  './dump.js',
+  './core.js',
+  './profiles.js',
+  './autocal.js',
+  './feedback.js',
+  './volume.js',
+  './analytics.js',
+  './history.js',
+  './export.js',
+  './recorder.js',
+  './update.js',
+  './qr.js',
+  './handoff.js',
+  './simulator.js',
+  './vendor/jsQR.js',
+  './manifest.webmanifest',
+  './icons/icon-192.png',
+  './icons/icon-512.png'
+];
+// Pinned so the cached copy matches what index.html loads
+const REMOTE_ASSETS = [
+  'https://cdn.tailwindcss.com/3.4.16'
 ];
 
 self.addEventListener('install', (event) => {
+  // No skipWaiting here: the page decides when it is safe to switch
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(OFFLINE_ASSETS))
+    caches.open(CACHE_NAME).then((cache) => Promise.all([
+      cache.addAll(OFFLINE_ASSETS.map((url) => new Request(url, { cache: 'reload' }))),
+      cache.addAll(REMOTE_ASSETS.map((url) => new Request(url, { mode: 'cors' })))
+    ]))
   );
 });
 
@@ -23,40 +65,25 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Network-first for navigations and core files, cache-first for others
+// Cache-first from this release's cache so pages never mix files from two releases
 self.addEventListener('fetch', (event) => {
   const request = event.request;
   if (request.method !== 'GET') return;
 
   const isHtmlRequest = request.mode === 'navigate' ||
     (request.headers.get('Accept') || '').includes('text/html');
-  const url = new URL(request.url);
-  const isCoreAsset = isHtmlRequest || url.pathname.endsWith('/index.html') || url.pathname.endsWith('/app.js');
-
-  if (isCoreAsset) {
-    event.respondWith(
-      fetch(request)
-        .then((response) => {
-          const copy = response.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
-          return response;
-        })
-        .catch(async () => (await caches.match(request)) || caches.match('./index.html'))
-    );
-    return;
-  }
 
   event.respondWith(
-    caches.match(request).then((cached) =>
-      cached ||
-      fetch(request)
-        .then((response) => {
-          const copy = response.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
-          return response;
-        })
-        .catch(() => cached)
-    )
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(request, { ignoreSearch: isHtmlRequest });
+      if (cached) return cached;
+      try {
+        return await fetch(request);
+      } catch (err) {
+        if (isHtmlRequest) return cache.match('./index.html');
+        throw err;
+      }
+    })
   );
 });
 
@@ -65,5 +92,3 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 });
-
-
@@ -0,0 +1,88 @@
+/*
+  Bucket Counter – Core tests
+  - Headings and accelerometer samples fed through the core on a fake clock, one
+    of each every 50 ms, with the counts and suspects it reports checked
+  - Run with `node --test ai-coded/tests/` (Node 18+); no browser needed
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The modules register themselves on self.BucketCounter, as in the browser
+globalThis.self = globalThis;
+['angles', 'heading', 'detector', 'health', 'dump', 'storage', 'core'].forEach((name) => require(`../${name}.js`));
+
+const { createCore } = self.BucketCounter.core;
+const { SUSPECT_REASONS } = self.BucketCounter.detector;
+const storage = self.BucketCounter.storage;
+
+const STEP_MS = 50;
+const GRAVITY = 9.81;
+
+// localStorage stand-in so every test starts from an empty record
+const memoryBackend = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+// A running, calibrated core (grave 0°, truck 90°) and everything it reported
+const startCore = (detection) => {
+  storage.load(memoryBackend());
+  let clock = 1000;
+  const core = createCore({ storage, now: () => clock });
+  const reported = [];
+  core.subscribe((type, detail) => {
+    if (type === 'count' || type === 'suspect') reported.push(detail.reason || type);
+  });
+  core.setDetectionConfig(detection);
+  core.setTarget('grave', 0);
+  core.setTarget('truck', 90);
+  core.setRunning(true);
+  // { at, ms, to?, jolt? }: hold `at` or turn from it to `to` over ms; jolt is felt halfway
+  const play = (moves) => moves.forEach(({ at, to = at, ms, jolt = 0 }) => {
+    const steps = Math.round(ms / STEP_MS);
+    for (let i = 1; i <= steps; i++) {
+      clock += STEP_MS;
+      const z = GRAVITY + (i === Math.round(steps / 2) ? jolt : 0);
+      core.onMotion({ accelerationIncludingGravity: { x: 0, y: 0, z } });
+      const heading = at + ((to - at) * i) / steps;
+      core.onHeading(heading, { alpha: heading, beta: 0, gamma: 0 });
+    }
+  });
+  return { core, play, reported };
+};
+
+// Load at the grave, swing to the truck, stay there, and come back
+const swing = (jolt) => [
+  { at: 0, ms: 1000 },
+  { at: 0, to: 90, ms: 500 },
+  { at: 90, ms: 800, jolt },
+  { at: 90, to: 0, ms: 500 },
+];
+
+test('a swing waits for its dump to be felt', () => {
+  const { core, play, reported } = startCore({ requireDump: true, dumpJoltMs2: 2.5 });
+  play([...swing(6), { at: 0, ms: 1000 }]);
+  assert.deepEqual(reported, ['count']);
+  assert.equal(core.getState().truckCount, 1);
+});
+
+test('a swing with no dump is suspect and does not make the next one too soon', () => {
+  const { core, play, reported } = startCore({ requireDump: true, dumpJoltMs2: 2.5, minCycleMs: 5000 });
+  play([...swing(0), ...swing(6), { at: 0, ms: 1000 }]);
+  assert.deepEqual(reported, [SUSPECT_REASONS.noDump, 'count']);
+  assert.equal(core.getState().truckCount, 1);
+});
+
+test('without requireDump a second swing inside minCycleMs is still too soon', () => {
+  const { core, play, reported } = startCore({ minCycleMs: 5000 });
+  play([...swing(0), ...swing(0), { at: 0, ms: 1000 }]);
+  assert.deepEqual(reported, ['count', SUSPECT_REASONS.tooSoon]);
+  assert.equal(core.getState().truckCount, 1);
+});
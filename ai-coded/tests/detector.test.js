@@ -0,0 +1,168 @@
+/*
+  Bucket Counter – Swing detector tests
+  - Synthetic heading sequences fed through update(heading, ts, config), one
+    sample every 50 ms, with the results checked swing by swing
+  - Run with `node --test ai-coded/tests/` (Node 18+); no browser needed
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The modules register themselves on self.BucketCounter, as in the browser
+globalThis.self = globalThis;
+require('../angles.js');
+require('../detector.js');
+
+const { signedDelta, clampDeg } = self.BucketCounter.angles;
+const { createSwingDetector, MODES, SUSPECT_REASONS } = self.BucketCounter.detector;
+
+const STEP_MS = 50;
+const CONFIG = { graveHeading: 0, truckHeading: 90, pileHeading: NaN };
+
+/*
+  Heading samples from a script of moves starting at `from`:
+  { hold: ms } stays put, { to: deg, ms } turns there at a steady rate the short way round.
+*/
+const sequence = (from, moves) => {
+  const samples = [];
+  let heading = from;
+  moves.forEach((move) => {
+    const steps = Math.max(1, Math.round((move.hold || move.ms) / STEP_MS));
+    const delta = move.to === undefined ? 0 : signedDelta(move.to, heading);
+    for (let i = 1; i <= steps; i++) samples.push(clampDeg(heading + (delta * i) / steps));
+    heading = clampDeg(heading + delta);
+  });
+  return samples;
+};
+
+// Every non-null result of feeding the samples through a fresh detector
+const run = (samples, config) => {
+  const detector = createSwingDetector();
+  const results = [];
+  samples.forEach((heading, i) => {
+    const result = detector.update(heading, i * STEP_MS, Object.assign({}, CONFIG, config));
+    if (result) results.push(result);
+  });
+  return results;
+};
+
+// Load at the grave, swing to the truck, dump, and come back
+const fullSwing = (ms = 500) => [{ hold: 1000 }, { to: 90, ms }, { hold: 800 }, { to: 0, ms }];
+
+test('a normal swing counts once at the truck', () => {
+  const results = run(sequence(0, [...fullSwing(), { hold: 1000 }]));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].type, 'count');
+  assert.equal(results[0].target, 'truck');
+  assert.equal(results[0].from, 'grave');
+});
+
+test('jitter at the edge of a zone stays inside it thanks to hysteresis', () => {
+  // 78°-72° is 12°-18° from the truck: inside the 15° + 5° exit band, but not all inside the 15° entry band
+  const jitter = [{ to: 72, ms: 200 }, { hold: 400 }, { to: 78, ms: 200 }, { hold: 400 }];
+  const samples = sequence(0, [{ hold: 1000 }, { to: 78, ms: 500 }, { hold: 800 }, ...jitter, ...jitter, { to: 0, ms: 500 }, { hold: 1000 }]);
+  assert.deepEqual(run(samples).map((r) => r.type), ['count']);
+  // Without the exit band the same jitter leaves and re-enters the truck zone
+  const results = run(samples, { hysteresisDeg: 0 });
+  assert.equal(results[0].type, 'count');
+  assert.ok(results.slice(1).length > 0 && results.slice(1).every((r) => r.reason === SUSPECT_REASONS.noGraveReturn));
+});
+
+test('a bucket is only loaded after dwelling at the grave', () => {
+  // Passing through the grave zone without stopping does not load the bucket
+  const results = run(sequence(90, [{ hold: 1000 }, { to: 0, ms: 500 }, { hold: 200 }, { to: 90, ms: 500 }, { hold: 800 }]));
+  assert.deepEqual(results.map((r) => r.reason), [SUSPECT_REASONS.noGraveReturn]);
+});
+
+test('a long stay at the truck counts once per grave return', () => {
+  const wobble = [{ to: 85, ms: 300 }, { to: 95, ms: 300 }, { to: 90, ms: 300 }];
+  const results = run(sequence(0, [...fullSwing(), ...fullSwing().slice(0, 3), ...wobble, ...wobble, { hold: 10000 }, { to: 0, ms: 500 }, { hold: 1000 }]));
+  assert.deepEqual(results.map((r) => r.type), ['count', 'count']);
+});
+
+test('a slow operator still counts once per swing', () => {
+  const slow = [{ hold: 5000 }, { to: 90, ms: 4000 }, { hold: 6000 }, { to: 0, ms: 4000 }];
+  const results = run(sequence(0, [...slow, ...slow, { hold: 1000 }]));
+  assert.deepEqual(results.map((r) => r.type), ['count', 'count']);
+});
+
+test('a second swing inside minCycleMs is suspect, not counted', () => {
+  const results = run(sequence(0, [...fullSwing(), ...fullSwing(), { hold: 1000 }]), { minCycleMs: 10000 });
+  assert.deepEqual(results.map((r) => r.type), ['count', 'suspect']);
+  assert.equal(results[1].reason, SUSPECT_REASONS.tooSoon);
+  assert.equal(results[1].target, 'truck');
+});
+
+test('stopping short of the truck is a partial swing', () => {
+  // 25° short: outside the 15° zone but within the partial margin
+  const results = run(sequence(0, [{ hold: 1000 }, { to: 65, ms: 500 }, { hold: 800 }, { to: 0, ms: 500 }, { hold: 1000 }]));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].reason, SUSPECT_REASONS.partial);
+  assert.equal(results[0].target, 'truck');
+});
+
+test('a swing well short of every target is ignored', () => {
+  const results = run(sequence(0, [{ hold: 1000 }, { to: 40, ms: 500 }, { hold: 800 }, { to: 0, ms: 500 }, { hold: 1000 }]));
+  assert.deepEqual(results, []);
+});
+
+test('swinging through the truck without stopping is an overshoot', () => {
+  const results = run(sequence(0, [{ hold: 1000 }, { to: 140, ms: 500 }, { hold: 800 }, { to: 0, ms: 500 }, { hold: 1000 }]));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].reason, SUSPECT_REASONS.overshoot);
+});
+
+test('touching the truck and coming straight back is a short dwell', () => {
+  const results = run(sequence(0, [{ hold: 1000 }, { to: 90, ms: 500 }, { hold: 100 }, { to: 0, ms: 500 }, { hold: 1000 }]));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].reason, SUSPECT_REASONS.shortDwell);
+});
+
+test('dumping again without returning to the grave is suspect', () => {
+  const results = run(sequence(0, [...fullSwing().slice(0, 3), { to: 50, ms: 300 }, { hold: 500 }, { to: 90, ms: 300 }, { hold: 800 }]));
+  assert.deepEqual(results.map((r) => r.type), ['count', 'suspect']);
+  assert.equal(results[1].reason, SUSPECT_REASONS.noGraveReturn);
+});
+
+test('starting up at the truck is not suspect', () => {
+  const results = run(sequence(90, [{ hold: 1000 }, { to: 0, ms: 500 }, { hold: 1000 }]));
+  assert.deepEqual(results, []);
+});
+
+test('a swing across north (0°/360°) counts', () => {
+  const config = { graveHeading: 340, truckHeading: 40 };
+  const results = run(sequence(340, [{ hold: 1000 }, { to: 40, ms: 500 }, { hold: 800 }, { to: 340, ms: 500 }, { hold: 1000 }]), config);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].type, 'count');
+  assert.equal(results[0].target, 'truck');
+});
+
+test('the grave zone holds across north', () => {
+  // Jitter either side of 0° stays in the grave zone and counts nothing
+  const jitter = [{ to: 355, ms: 200 }, { to: 5, ms: 200 }, { to: 358, ms: 200 }, { to: 2, ms: 200 }];
+  const results = run(sequence(0, [{ hold: 1000 }, ...jitter, ...jitter, ...fullSwing(), { hold: 1000 }]));
+  assert.deepEqual(results.map((r) => r.type), ['count']);
+});
+
+test('backfill counts loads from the truck dumped at the grave', () => {
+  const config = { mode: MODES.backfill };
+  const results = run(sequence(90, [{ hold: 1000 }, { to: 0, ms: 500 }, { hold: 800 }, { to: 90, ms: 500 }, { hold: 1000 }, { to: 0, ms: 500 }, { hold: 800 }]), config);
+  assert.deepEqual(results.map((r) => r.type), ['count', 'count']);
+  assert.equal(results[0].target, 'grave');
+  assert.equal(results[0].from, 'truck');
+});
+
+test('backfill: returning to the grave without loading is suspect', () => {
+  const config = { mode: MODES.backfill };
+  const results = run(sequence(90, [{ hold: 1000 }, { to: 0, ms: 500 }, { hold: 800 }, { to: 50, ms: 300 }, { hold: 500 }, { to: 0, ms: 300 }, { hold: 800 }]), config);
+  assert.deepEqual(results.map((r) => r.type), ['count', 'suspect']);
+  assert.equal(results[1].reason, SUSPECT_REASONS.noGraveReturn);
+});
+
+test('nothing is detected until the grave and a dump target are set', () => {
+  const samples = sequence(0, [...fullSwing(), { hold: 1000 }]);
+  assert.deepEqual(run(samples, { graveHeading: NaN }), []);
+  assert.deepEqual(run(samples, { truckHeading: NaN }), []);
+});
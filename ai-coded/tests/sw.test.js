@@ -0,0 +1,51 @@
+/*
+  Bucket Counter – Service worker release check
+  - The worker serves cache-first, so a precached file that changes without a new
+    CACHE_VERSION reaches installed phones only after some later bump
+  - Fingerprints the files in OFFLINE_ASSETS and fails until a change to them comes
+    with a bump; then record the new version and fingerprint in RELEASED below
+  - Run with `node --test ai-coded/tests/` (Node 18+); no browser needed
+*/
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// CACHE_VERSION in sw.js and the fingerprint of the files it precaches
+const RELEASED = { version: 29, fingerprint: 'bfcc3d507a946dfe' };
+
+const ROOT = path.join(__dirname, '..');
+const sw = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+
+const cacheVersion = () => Number(/const CACHE_VERSION = (\d+);/.exec(sw)[1]);
+
+// Local files in OFFLINE_ASSETS; './' is index.html again
+const offlineAssets = () => {
+  const start = sw.indexOf('const OFFLINE_ASSETS');
+  return sw.slice(start, sw.indexOf('];', start)).match(/'\.\/[^']+'/g).map((quoted) => quoted.slice(1, -1));
+};
+
+const fingerprint = () => {
+  const hash = crypto.createHash('sha256');
+  offlineAssets().forEach((asset) => {
+    hash.update(asset);
+    hash.update(fs.readFileSync(path.join(ROOT, asset)));
+  });
+  return hash.digest('hex').slice(0, 16);
+};
+
+test('every precached file exists', () => {
+  offlineAssets().forEach((asset) => assert.ok(fs.existsSync(path.join(ROOT, asset)), asset));
+});
+
+test('CACHE_VERSION is bumped whenever a precached file changes', () => {
+  const current = { version: cacheVersion(), fingerprint: fingerprint() };
+  if (current.fingerprint !== RELEASED.fingerprint) {
+    assert.ok(current.version > RELEASED.version, 'A precached file changed: bump CACHE_VERSION in sw.js');
+  }
+  assert.deepEqual(current, RELEASED, 'Record the new CACHE_VERSION and fingerprint in RELEASED');
+});
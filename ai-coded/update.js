@@ -0,0 +1,80 @@
+/*
+  Bucket Counter – App updates
+  - Registers the service worker and notices when a new release has installed
+    and is waiting (see sw.js)
+  - The waiting release only takes over when the page asks, and the page only
+    reloads when the app says it is safe, so an update never interrupts a job
+*/
+
+(function () {
+  'use strict';
+
+  /*
+    options: {
+      onAvailable(): a new release is waiting,
+      isSafeToReload(): false while a job is in progress
+    }
+  */
+  const createUpdater = (options) => {
+    const { onAvailable = () => {}, isSafeToReload = () => true } = options || {};
+    const sw = navigator.serviceWorker;
+    let registration = null;
+    let waiting = null;
+    let reloadPending = false; // a new release is in control; this page is stale
+
+    const found = (worker) => {
+      if (!worker || waiting === worker) return;
+      waiting = worker;
+      onAvailable();
+    };
+
+    // The first install on a fresh device is not an update
+    const track = (worker) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && sw.controller) found(worker);
+      });
+    };
+
+    const reloadIfSafe = () => {
+      if (!reloadPending || !isSafeToReload()) return false;
+      reloadPending = false;
+      window.location.reload();
+      return true;
+    };
+
+    const register = (url) => {
+      if (!sw) return;
+      // Fires after our skipWaiting, or another tab's; never on a first install
+      sw.addEventListener('controllerchange', () => {
+        reloadPending = true;
+        if (!reloadIfSafe()) onAvailable();
+      });
+      sw.register(url).then((reg) => {
+        registration = reg;
+        if (reg.waiting && sw.controller) found(reg.waiting);
+        if (reg.installing) track(reg.installing);
+        reg.addEventListener('updatefound', () => track(reg.installing));
+      }).catch(() => {});
+      // Phones stay open on site all day; look for a release when the app comes back
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && registration) registration.update().catch(() => {});
+      });
+    };
+
+    const isAvailable = () => Boolean(waiting) || reloadPending;
+
+    // Switch to the waiting release and reload, unless a job is in progress.
+    // Returns true when the switch was started.
+    const apply = () => {
+      if (!isAvailable() || !isSafeToReload()) return false;
+      if (reloadPending) return reloadIfSafe();
+      waiting.postMessage('skipWaiting');
+      return true;
+    };
+
+    return { register, isAvailable, apply };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.update = { createUpdater };
+})();
@@ -0,0 +1,74 @@
+/*
+  Bucket Counter – Volume and progress
+  - Converts bucket counts to cubic yards using the machine's bucket capacity
+  - Target excavation from length × width × depth (feet) or a grave preset
+  - Estimates percent complete and time to finish from the recent bucket rate
+*/
+
+(function () {
+  'use strict';
+
+  const CUBIC_FEET_PER_YARD = 27;
+
+  // Typical excavation sizes in feet, labelled by message key (see messages.js)
+  const GRAVE_PRESETS = {
+    adult: { labelKey: 'grave.adult', lengthFt: 8, widthFt: 3.5, depthFt: 6 },
+    child: { labelKey: 'grave.child', lengthFt: 5, widthFt: 2.5, depthFt: 4 },
+    cremation: { labelKey: 'grave.cremation', lengthFt: 2, widthFt: 2, depthFt: 3 },
+  };
+
+  const RATE_WINDOW = 10; // most recent bucket events used for the current rate
+
+  // { preset: 'adult' | 'child' | 'cremation' | 'custom' | null, lengthFt, widthFt, depthFt }
+  const resolveTarget = (target) => {
+    if (!target) return null;
+    const preset = GRAVE_PRESETS[target.preset];
+    const dims = preset || target;
+    const lengthFt = Number(dims.lengthFt);
+    const widthFt = Number(dims.widthFt);
+    const depthFt = Number(dims.depthFt);
+    if (![lengthFt, widthFt, depthFt].every((n) => Number.isFinite(n) && n > 0)) return null;
+    return { preset: preset ? target.preset : 'custom', lengthFt, widthFt, depthFt };
+  };
+
+  const targetVolumeYd3 = (target) => {
+    const t = resolveTarget(target);
+    return t ? (t.lengthFt * t.widthFt * t.depthFt) / CUBIC_FEET_PER_YARD : NaN;
+  };
+
+  // Buckets per millisecond over the most recent additions, or NaN with too little data
+  const recentRate = (events) => {
+    const added = (events || []).filter((e) => e.delta > 0).slice(-RATE_WINDOW);
+    if (added.length < 2) return NaN;
+    const spanMs = added[added.length - 1].ts - added[0].ts;
+    if (spanMs <= 0) return NaN;
+    // Buckets gained after the first event in the window, over the time they took
+    const buckets = added.slice(1).reduce((sum, e) => sum + e.delta, 0);
+    return buckets / spanMs;
+  };
+
+  /*
+    { volumeYd3, targetYd3, percent, bucketsRemaining, bucketsPerHour, etaMs }
+    Values that cannot be worked out (no capacity, no target, no rate) are NaN.
+  */
+  const estimateProgress = ({ buckets, capacityYd3, target, events }) => {
+    const volumeYd3 = capacityYd3 > 0 ? buckets * capacityYd3 : NaN;
+    const targetYd3 = targetVolumeYd3(target);
+    const percent = targetYd3 > 0 ? Math.min(100, (volumeYd3 / targetYd3) * 100) : NaN;
+    const bucketsRemaining = targetYd3 > 0 && capacityYd3 > 0
+      ? Math.max(0, targetYd3 / capacityYd3 - buckets)
+      : NaN;
+    const rate = recentRate(events);
+    return {
+      volumeYd3,
+      targetYd3,
+      percent,
+      bucketsRemaining,
+      bucketsPerHour: rate * 3600000,
+      etaMs: rate > 0 ? bucketsRemaining / rate : NaN,
+    };
+  };
+
+  const ns = (self.BucketCounter = self.BucketCounter || {});
+  ns.volume = { GRAVE_PRESETS, resolveTarget, targetVolumeYd3, estimateProgress };
+})();
@@ -8,6 +8,8 @@ const elements = {
     btnSetGrave: document.getElementById("btnSetGrave"),
     btnResetCalibration: document.getElementById("btnResetCalibration"),
     btnNewGrave: document.getElementById("btnNewGrave"),
+    btnResumeJob: document.getElementById("btnResumeJob"),
+    btnStartClean: document.getElementById("btnStartClean"),
     //text
     counterValue: document.getElementById("counterValue"),
     instructionText: document.getElementById("instructionText"),
@@ -19,27 +21,126 @@ const elements = {
     statusLabel: document.getElementById("statusLabel"),
     heading: document.getElementById("heading"),
     headingLabel: document.getElementById("headingLabel"),
+    resumePrompt: document.getElementById("resumePrompt"),
+    resumeText: document.getElementById("resumeText"),
+    //settings
+    languageSelect: document.getElementById("languageSelect"),
 };
 
+//------- CORE SECTION -------
+//heading, calibration, detection, counts and storage are shared with the ai-coded app
+//(see ai-coded/core.js and ai-coded/storage.js)
+//this app's job, counts and calibration are kept apart from the ai-coded app's; settings are shared
+const storage = window.BucketCounter.storage.scoped("classic");
+const jobHistory = window.BucketCounter.history; //finished jobs, shared with the ai-coded app
+const i18n = window.BucketCounter.i18n; //texts and number/date formats (see ai-coded/i18n.js)
+const { orientationEventName, screenAngle } = window.BucketCounter.heading;
+const { loadProfiles } = window.BucketCounter.profiles;
+const core = window.BucketCounter.core.createCore({ storage });
+const ORIENTATION_EVENT = orientationEventName(); //deviceorientationabsolute where available
+
+//detection tuning from the active machine profile
+const profileState = loadProfiles();
+const activeProfile = profileState.profiles.find((p) => p.id === profileState.activeId);
+core.setDetectionConfig(activeProfile.settings);
+const manualStep = activeProfile.settings.manualStep; //the +/- buttons change the count by this much
+
 //------- STATE SECTION -------
 //defaults (never change)
 const initialState = {
-    counter: 0,
     hasActivated: false, //becomes true after start
     isRunning: false, //toggled by the pause/resume button
-    truckHeading: "—",
-    graveHeading: "—"
+    jobStartedAt: 0 //set on the first start of a job
 };
 
-//live state
+//live state (counts and headings live in the core)
 let state = { ...initialState };
+let wakeLock = null;
+//message keys of the status and instruction lines, so a change of language can redraw them
+let statusKey = "status.idle";
+let instructionKey = "classic.instructionStart";
 
 //------- FUNCTIONS SECTION -------
 
+//saved so a reload or killed tab can pick the job back up
+function saveState() {
+    storage.setMany({
+        "job.startedAt": state.jobStartedAt,
+        "job.session": { hasActivated: state.hasActivated, running: state.isRunning, savedAt: Date.now() },
+    });
+}
+
+//saved job, or null when there is nothing to resume
+function loadSavedState() {
+    const session = storage.get("job.session");
+    if (!session || !session.hasActivated) return null;
+    return {
+        ...initialState,
+        hasActivated: true,
+        jobStartedAt: storage.get("job.startedAt") || session.savedAt,
+    };
+}
+
+//manual changes apply to the truck count and go in the shared event log
 function changeAmount(amount) {
-    state.counter += amount;
-    if (state.counter < 0) state.counter = 0;
-    elements.counterValue.textContent = state.counter;
+    core.changeCount("truck", amount, "manual");
+}
+
+function setStatus(key) {
+    statusKey = key;
+    elements.statusLabel.innerText = i18n.t(key);
+}
+
+//an empty key clears the line
+function setInstruction(key) {
+    instructionKey = key;
+    elements.instructionText.innerText = key ? i18n.t(key) : "";
+}
+
+function formatHeading(deg) {
+    return Number.isFinite(deg) ? Math.round(deg) : "—";
+}
+
+//"1/2" reads better than "0.5" on the +/- buttons
+function formatStep(step) {
+    return { 0.25: "1/4", 0.5: "1/2" }[step] || i18n.formatNumber(step);
+}
+
+function renderManualButtons() {
+    elements.btnPlus.innerText = formatStep(manualStep);
+    elements.btnMinus.innerText = formatStep(manualStep);
+}
+
+//status and instruction while detecting: calibrate first, then swing
+function renderDetectionStatus() {
+    setStatus(core.isCalibrated() ? "status.detecting" : "classic.setPositions");
+    setInstruction(core.isCalibrated() ? "" : "classic.pointAndSet");
+}
+
+function renderCounts() {
+    const { total, graveHeading, truckHeading } = core.getState();
+    elements.counterValue.innerText = i18n.formatNumber(total);
+    elements.truckHeadingLabel.innerText = formatHeading(truckHeading);
+    elements.graveHeadingLabel.innerText = formatHeading(graveHeading);
+}
+
+//keep the screen on while detecting (iOS Safari 16.4+)
+async function requestWakeLock() {
+    try {
+        if ("wakeLock" in navigator && !wakeLock) {
+            wakeLock = await navigator.wakeLock.request("screen");
+            wakeLock.addEventListener("release", () => {
+                wakeLock = null;
+            });
+        }
+    } catch (e) {
+        wakeLock = null; //not supported or not allowed right now
+    }
+}
+
+function releaseWakeLock() {
+    if (wakeLock) wakeLock.release().catch(() => {});
+    wakeLock = null;
 }
 
 function showUi() {
@@ -53,35 +154,35 @@ function showUi() {
     elements.heading.classList.remove("hidden");
     elements.btnNewGrave.classList.remove("hidden");
     //change words
-    elements.instructionText.innerText = "Initializing sensors...";
-    elements.statusLabel.innerText = "Initializing sensors...";
+    setInstruction("status.initializing");
+    setStatus("status.initializing");
 }
 
 //change pause/resume button color
 function updateStartButtonUi() {
     if (!state.hasActivated) {
-        elements.btnStart.textContent = "Start";
+        elements.btnStart.textContent = i18n.t("toggle.start");
         elements.btnStart.className = "w-full p-2 text-md font-medium bg-accent rounded";
     }
     else if (state.isRunning) {
-        elements.btnStart.textContent = "Pause";
+        elements.btnStart.textContent = i18n.t("toggle.pause");
         elements.btnStart.className = "w-full p-2 text-md font-medium bg-danger rounded";
     } else {
-        elements.btnStart.textContent = "Resume";
+        elements.btnStart.textContent = i18n.t("toggle.resume");
         elements.btnStart.className = "w-full p-2 text-md font-medium bg-accent rounded";
     }
 };
 
 function resetState() {
     state = { ...initialState };
+    storage.resetJob();
+    core.resetJob(); //counts, calibration and detector
 }
 
 function renderUi() {
-    elements.counterValue.innerText = state.counter;
-    elements.instructionText.innerText = "Press Start to enable motion detection. Then set Grave and Truck positions.";
-    elements.statusLabel.innerText = "Idle";
-    elements.truckHeadingLabel.innerText = state.truckHeading;
-    elements.graveHeadingLabel.innerText = state.graveHeading;
+    renderCounts();
+    setInstruction("classic.instructionStart");
+    setStatus("status.idle");
 
     //rehide ui
     elements.truck.classList.add("hidden");
@@ -102,44 +203,204 @@ function resetUi() {
     renderUi();
 };
 
+//snapshot of the job for the history archive (same shape as the ai-coded app's)
+function buildJobRecord() {
+    const { truckCount, pileCount, backfillCount, total, graveHeading, pileHeading, truckHeading } = core.getState();
+    const { manualStep, bucketCapacityYd3, truckCapacityBuckets, ...detection } = activeProfile.settings;
+    const truckLoads = core.getTruckLoads().filter((load) => load.buckets > 0);
+    return {
+        label: "",
+        startedAt: state.jobStartedAt || Date.now(),
+        endedAt: Date.now(),
+        truckCount,
+        pileCount,
+        total,
+        backfillCount,
+        truckLoads,
+        loadsHauled: truckLoads.length,
+        calibration: {
+            graveHeading: Number.isFinite(graveHeading) ? graveHeading : null,
+            pileHeading: Number.isFinite(pileHeading) ? pileHeading : null,
+            truckHeading: Number.isFinite(truckHeading) ? truckHeading : null,
+        },
+        machine: activeProfile.name,
+        ...detection,
+        manualStep,
+        events: core.getEvents().slice(),
+        suspects: [],
+        pauses: [],
+        target: null,
+        bucketCapacityYd3,
+        volumeYd3: total * bucketCapacityYd3,
+        targetYd3: null,
+    };
+}
+
+//keep the finished job in history (see ai-coded/history.js)
+async function archiveJob() {
+    //nothing worth keeping if the job never started and nothing was counted
+    if (!state.jobStartedAt && core.totalCount() === 0) return;
+    try {
+        await jobHistory.addJob(buildJobRecord());
+    } catch (e) {
+        //storage unavailable (e.g. private mode); the reset still goes ahead
+    }
+}
+
+//archive the job, then start over; the buttons stay disabled so a double tap cannot archive it twice
+async function newGrave() {
+    elements.btnNewGrave.disabled = true;
+    elements.btnStartClean.disabled = true;
+    stopOrientation();
+    hideResumePrompt();
+    await archiveJob();
+    resetUi();
+    elements.btnNewGrave.disabled = false;
+    elements.btnStartClean.disabled = false;
+}
+
+function formatTime(ts) {
+    return i18n.formatDate(ts, { hour: "2-digit", minute: "2-digit" });
+}
+
+function renderResumePrompt(saved) {
+    elements.resumeText.innerText = i18n.t("resume.prompt", { time: formatTime(saved.jobStartedAt), count: core.totalCount() });
+}
+
+function showResumePrompt(saved) {
+    renderResumePrompt(saved);
+    elements.resumePrompt.classList.remove("hidden");
+}
+
+function hideResumePrompt() {
+    elements.resumePrompt.classList.add("hidden");
+}
+
+//restore the saved job and start detecting again (must run from a tap for the iOS prompt)
+function resumeJob(saved) {
+    state = { ...saved, isRunning: true };
+    renderCounts();
+    hideResumePrompt();
+    showUi();
+    updateStartButtonUi();
+    saveState();
+    startOrientation();
+}
+
+//the core turns sensor events into a heading and counts swings
 function onDeviceOrientation(event) {
-    state.heading = event.alpha || 0;
-    elements.headingLabel.innerText = Math.round(state.heading);
+    core.onOrientation(event, screenAngle());
+}
+
+function onDeviceMotion(event) {
+    core.onMotion(event);
+}
+
+function onCoreEvent(type, detail) {
+    if (type === "heading") {
+        elements.headingLabel.innerText = Math.round(detail.heading);
+        renderDetectionStatus();
+    } else if (type === "calibration") {
+        renderCounts();
+        //a target was set or cleared: say what is next now, not on the next heading
+        if (state.isRunning) renderDetectionStatus();
+    } else if (type === "change" || type === "reset") {
+        renderCounts();
+    } else if (type === "count") {
+        navigator.vibrate?.(200);
+    }
+}
+
+//set a target to where the cab is pointing now
+function setTarget(name) {
+    const { heading, headingReady } = core.getState();
+    if (!headingReady) {
+        setStatus("classic.noHeading");
+        return;
+    }
+    core.setTarget(name, heading);
 }
 
 async function startOrientation() {
-    // ask permission (iOS)
+    // ask permission (iOS gates motion and orientation separately)
     let granted = true;
-    if (DeviceOrientationEvent?.requestPermission) {
-        granted = (await DeviceOrientationEvent.requestPermission()) === "granted";
+    try {
+        if (window.DeviceMotionEvent?.requestPermission) {
+            granted = (await DeviceMotionEvent.requestPermission()) === "granted";
+        }
+        if (granted && window.DeviceOrientationEvent?.requestPermission) {
+            granted = (await DeviceOrientationEvent.requestPermission()) === "granted";
+        }
+    } catch (e) {
+        granted = false;
     }
 
     if (!granted) {
-        elements.statusLabel.innerText = "Permission denied!";
+        setStatus("classic.permissionDenied");
         return;
     }
 
     // start listening
-    window.addEventListener("deviceorientation", onDeviceOrientation);
+    window.addEventListener(ORIENTATION_EVENT, onDeviceOrientation);
+    window.addEventListener("devicemotion", onDeviceMotion);
+    core.setRunning(true);
+    requestWakeLock();
 
-    elements.statusLabel.innerText = "Detecting...";
+    setStatus("status.detecting");
 }
 
 function stopOrientation() {
-    window.removeEventListener("deviceorientation", onDeviceOrientation);
+    window.removeEventListener(ORIENTATION_EVENT, onDeviceOrientation);
+    window.removeEventListener("devicemotion", onDeviceMotion);
+    core.setRunning(false);
+    releaseWakeLock();
+}
+
+//redraw everything set from here after a change of language (static text is done by i18n)
+function renderTexts() {
+    renderCounts();
+    renderManualButtons();
+    setStatus(statusKey);
+    setInstruction(instructionKey);
+    updateStartButtonUi();
+}
+
+//language picker: "" follows the phone
+function renderLanguageSelect() {
+    elements.languageSelect.textContent = "";
+    elements.languageSelect.appendChild(new Option(i18n.t("settings.languageAuto"), ""));
+    Object.keys(i18n.LANGUAGES).forEach((code) => elements.languageSelect.appendChild(new Option(i18n.LANGUAGES[code], code)));
+    elements.languageSelect.value = i18n.getChoice() || "";
 }
+
 //------- EVENTS SECTION -------
 
-//add .5 to counter
+core.subscribe(onCoreEvent);
+i18n.translatePage(document);
+renderLanguageSelect();
+renderTexts();
+
+elements.languageSelect.addEventListener("change", () => i18n.setLanguage(elements.languageSelect.value || null));
+i18n.onChange(() => {
+    renderLanguageSelect();
+    renderTexts();
+    if (savedState) renderResumePrompt(savedState);
+});
+
+elements.btnSetGrave.addEventListener("click", () => setTarget("grave"));
+elements.btnSetTruck.addEventListener("click", () => setTarget("truck"));
+elements.btnResetCalibration.addEventListener("click", () => core.resetCalibration());
+
+//add the manual step (.5 by default) to counter
 elements.btnPlus.addEventListener("click", (e) => {
     e.preventDefault(); //prevent default browser behavior (zooming on double click)
-    changeAmount(.5)
+    changeAmount(manualStep)
 });
 
-//subtract .5 from counter
+//subtract the manual step from counter
 elements.btnMinus.addEventListener("click", (e) => {
     e.preventDefault(); //prevent default browser behavior (zooming on double click)
-    changeAmount(-.5)
+    changeAmount(-manualStep)
 });
 
 //show hidden elements on start button click
@@ -147,23 +408,42 @@ elements.btnStart.addEventListener("click", () => {
     if (!state.hasActivated) {
         state.hasActivated = true;
         state.isRunning = true;
+        state.jobStartedAt = Date.now();
+        hideResumePrompt();
+        saveState();
         showUi();
         updateStartButtonUi();
         startOrientation(); //request permissions and start reading heading
     } else if (state.isRunning) {
         //pause
         state.isRunning = false;
+        saveState();
         stopOrientation(); //remove event listener
         updateStartButtonUi();
     } else {
         //resume
         state.isRunning = true;
+        saveState();
         updateStartButtonUi();
         startOrientation();
     }
 });
 
-//reset UI on new grave click
-elements.btnNewGrave.addEventListener("click", () => {
-    resetUi();
+//archive and reset on new grave click
+elements.btnNewGrave.addEventListener("click", newGrave);
+
+//the wake lock is dropped whenever the page is hidden
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible" && state.isRunning) requestWakeLock();
 });
+
+//offer to pick up a job that was in progress before a reload
+const savedState = loadSavedState();
+if (savedState) {
+    showResumePrompt(savedState);
+    elements.btnResumeJob.addEventListener("click", () => resumeJob(savedState));
+    elements.btnStartClean.addEventListener("click", () => {
+        state.jobStartedAt = savedState.jobStartedAt; //archived with its real start time
+        newGrave();
+    });
+}